@@ -0,0 +1,60 @@
+// Import the dump helpers, which turn Open Library's data dumps into an indexed SQLite database
+import { buildDumpDatabase } from "./common/open-library-dump.mjs";
+
+/**
+ * Goal: Look books up without calling Open Library's API, for bulk cataloguing.
+ *
+ * Open Library publishes its whole catalog as dump files: https://openlibrary.org/developers/dumps. This step reads the editions, works and authors dumps and writes them to a SQLite database indexed by ISBN-10 and ISBN-13, which the Open Library (Local Dump) source reads. The full dumps are large, so for the whole catalog you may want to run buildDumpDatabase() on your own machine instead (see the README).
+ */
+
+export default {
+	name: "Build Open Library Index",
+	description:
+		"Builds a local, ISBN-indexed database from Open Library's data dumps, for the Open Library (Local Dump) book source.",
+	key: "notion-book-open-library-indexer",
+	version: "0.0.1",
+	type: "action",
+	props: {
+		editions_file: {
+			type: "string",
+			label: "Editions Dump File",
+			description:
+				"The path to Open Library's editions dump, e.g. `/tmp/ol_dump_editions_latest.txt.gz`. Gzipped files are read as they are. Only editions with an ISBN are kept.",
+		},
+		works_file: {
+			type: "string",
+			label: "Works Dump File",
+			description:
+				"Optionally, the path to the works dump. Without it, books have no first publish year or subjects.",
+			optional: true,
+		},
+		authors_file: {
+			type: "string",
+			label: "Authors Dump File",
+			description:
+				"Optionally, the path to the authors dump. Without it, most books have no author.",
+			optional: true,
+		},
+		database_path: {
+			type: "string",
+			label: "Database Path",
+			description:
+				"Where to write the database. Set the same path in the Open Library Dump Database setting of the steps that look books up. An existing database is replaced once the new one is ready. Pipedream clears `/tmp` between executions, so a database written there only lasts while the workflow stays warm.",
+		},
+	},
+	async run({ $ }) {
+		const counts = await buildDumpDatabase({
+			database: this.database_path,
+			editions: this.editions_file,
+			works: this.works_file ?? null,
+			authors: this.authors_file ?? null,
+		});
+
+		$.export(
+			"$summary",
+			`Indexed ${counts.editions} editions (${counts.isbns} ISBNs), ${counts.works} works and ${counts.authors} authors into ${counts.database}.`
+		);
+
+		return counts;
+	},
+};
@@ -0,0 +1,51 @@
+import { normalizeText } from "./text.mjs";
+
+/**
+ * Helpers for linking books to an Authors database.
+ */
+
+/**
+ * Returns the key two author names are compared by. On top of normalizeText(), runs of initials are joined, so
+ * "J.R.R. Tolkien", "J. R. R. Tolkien" and "JRR Tolkien" all become "jrr tolkien".
+ */
+export function authorKey(name) {
+  const words = normalizeText(name).split(" ").filter(Boolean);
+
+  return words
+    .reduce((acc, word, index) => {
+      if (word.length === 1 && index > 0 && words[index - 1].length === 1) {
+        acc[acc.length - 1] += word;
+      } else {
+        acc.push(word);
+      }
+
+      return acc;
+    }, [])
+    .join(" ");
+}
+
+/**
+ * Returns the book's author names, one per author. Uses the `authors` list when the record has one, falling back
+ * to splitting the comma-joined `author` string. Repeated names (by authorKey) are dropped.
+ */
+export function getAuthorNames(book) {
+  const names =
+    Array.isArray(book.authors) && book.authors.length > 0
+      ? book.authors
+      : String(book.author ?? "").split(",");
+
+  const seen = new Set();
+
+  return names
+    .map((name) => String(name).trim())
+    .filter((name) => {
+      const key = authorKey(name);
+
+      if (key === "" || seen.has(key)) {
+        return false;
+      }
+
+      seen.add(key);
+      return true;
+    });
+}
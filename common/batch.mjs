@@ -0,0 +1,248 @@
+import Bottleneck from "bottleneck";
+import { NotFoundError } from "./errors.mjs";
+import { callNotion, fetchData, fetchImage } from "./http.mjs";
+import { resolveCover } from "./covers.mjs";
+import { limiterForURL, resolveEndpoints } from "./endpoints.mjs";
+import { resolveDumpPath } from "./open-library-dump.mjs";
+import { lookupBook, searchBook } from "./providers/index.mjs";
+import { findExistingPage } from "./duplicates.mjs";
+import { uploadImage } from "./notion-files.mjs";
+import { chunkBlocks } from "./page-body.mjs";
+import { RELATIONS, applyRelation, createPageResolver } from "./relations.mjs";
+
+/**
+ * Book lookups and Notion calls for the actions that handle many books in one run: the batch action, Enrich_Books
+ * and the reading history importer.
+ *
+ * Every request goes through a Bottleneck limiter for the service it's sent to
+ * (https://github.com/SGrondin/bottleneck), so books can be processed in parallel without going over any API's rate
+ * limit. The limiters live at module level, so every action in the same process shares them.
+ */
+
+/**
+ * One limiter per service.
+ */
+export const limiters = {
+  google_books: new Bottleneck({ maxConcurrent: 2, minTime: 200 }),
+  open_library: new Bottleneck({ maxConcurrent: 1, minTime: 350 }),
+  library_of_congress: new Bottleneck({ maxConcurrent: 1, minTime: 1000 }),
+  notion: new Bottleneck({ maxConcurrent: 1, minTime: 334 }), // Notion allows an average of 3 requests per second
+};
+
+/**
+ * Reads the Google Books API key from the GOOGLE_BOOKS environment variable, then the step's prop. Returns null if
+ * neither is set, in which case the Google Books provider is skipped.
+ */
+export function resolveGoogleBooksKey(props = {}, env = process.env) {
+  return env.GOOGLE_BOOKS || props.google_books_key || null;
+}
+
+/**
+ * Returns the rate limiter for the service a URL points to. Anything that isn't one of the endpoints shares Open
+ * Library's.
+ */
+export function getLimiter(url, endpoints) {
+  return limiters[limiterForURL(url, endpoints)] ?? limiters.open_library;
+}
+
+/**
+ * Fetches book data from a source, through the service's limiter. Requests time out, and are retried with backoff
+ * if the source is down or rate limiting us (see http.mjs).
+ */
+export async function fetchBookData(url, endpoints) {
+  const limiter = getLimiter(url, endpoints);
+
+  return await fetchData(url, {
+    schedule: (request) => limiter.schedule(request),
+  });
+}
+
+/**
+ * Downloads a cover image candidate through the service's limiter. Returns the image data and content type, or null
+ * if it doesn't exist or can't be downloaded.
+ */
+export async function fetchCoverImage(url, endpoints) {
+  const limiter = getLimiter(url, endpoints);
+
+  try {
+    return await fetchImage(url, {
+      schedule: (request) => limiter.schedule(request),
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      console.log(`Cover not found: ${url}`);
+    } else {
+      console.error(`Encountered error fetching cover: ${error.message}`);
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Sends a Notion request through the Notion limiter, retrying it if Notion is busy or rate limiting us (see
+ * http.mjs).
+ */
+export async function sendNotionRequest(label, request) {
+  return await callNotion(request, {
+    label,
+    schedule: (request) => limiters.notion.schedule(request),
+  });
+}
+
+/**
+ * Sets up lookups for a step's props: its book sources, endpoints, dump database and merge setting. Returns
+ * { config, endpoints, fetchBook }.
+ *
+ * `config` is what the book sources read (see providers/index.mjs). `fetchBook(isbns, { query, cache })` looks the
+ * book up by ISBN and, if no source has it and there's a `query` ({ title, author }), by title and author. Its cover
+ * is resolved from every candidate and cached with the lookup, and empty fields are removed. Returns null if there
+ * was nothing to look up by; otherwise the book record, which is a generic one (with no `db`) if nothing matched.
+ */
+export function createBatchLookup(props, { googleBooksAPIKey = resolveGoogleBooksKey(props) } = {}) {
+  const endpoints = resolveEndpoints(props);
+  const config = {
+    googleBooksAPIKey,
+    endpoints,
+    openLibraryDumpPath: resolveDumpPath(props),
+  };
+
+  async function fetchBook(isbns, { query = null, cache }) {
+    const options = {
+      order: props.providers,
+      config,
+      fetchData: (url) => fetchBookData(url, endpoints),
+      cache,
+    };
+
+    let book = isbns.isbn_13
+      ? await lookupBook(isbns, { ...options, merge: props.merge_fields ?? true })
+      : null;
+
+    if (!book?.db && query?.title) {
+      book = await searchBook(query, { ...options, isbns });
+    }
+
+    if (!book) {
+      return null;
+    }
+
+    // Pick the largest real cover image from every provider's candidates. It's cached with the lookup, by ISBN or
+    // by the matched record for books found without one.
+    const coverKey = book.isbn_13 || (book.db && `${book.db}:${book.db_id}`);
+    const resolve = () =>
+      resolveCover(book.cover_candidates ?? [], {
+        fetchImage: (url) => fetchCoverImage(url, endpoints),
+      });
+    const cover = coverKey ? await cache.wrap(`covers:${coverKey}`, resolve) : await resolve();
+    delete book.cover_candidates;
+
+    if (cover) {
+      book.cover_image = cover.url;
+      book.cover_source = cover.source;
+      book.cover_width = cover.width;
+      book.cover_height = cover.height;
+    }
+
+    // Remove empty fields from the book record
+    return Object.fromEntries(
+      Object.entries(book).filter(([, value]) => value !== "")
+    );
+  }
+
+  return { config, endpoints, fetchBook };
+}
+
+/**
+ * Creates a page resolver for each related database the step has set, shared by every book in the run so an author
+ * or series is only looked up (or created) once. Requests go through the Notion limiter, and are retried by the
+ * resolver (see relations.mjs).
+ */
+export function createRelationResolvers(notion, props) {
+  const throttled = {
+    databases: {
+      retrieve: limiters.notion.wrap((args) => notion.databases.retrieve(args)),
+      query: limiters.notion.wrap((args) => notion.databases.query(args)),
+    },
+    pages: {
+      create: limiters.notion.wrap((args) => notion.pages.create(args)),
+    },
+  };
+
+  return Object.fromEntries(
+    Object.entries(RELATIONS)
+      .filter(([, relation]) => props[relation.databaseProp])
+      .map(([key, relation]) => [
+        key,
+        createPageResolver(throttled, {
+          databaseID: props[relation.databaseProp],
+          keyOf: relation.keyOf,
+        }),
+      ])
+  );
+}
+
+/**
+ * Builds the Notion calls the shared save flow makes (see save-book.mjs), each sent through the Notion limiter.
+ * `resolvers` come from createRelationResolvers(), and `endpoints` are the step's resolved endpoints, which the
+ * cover is downloaded through.
+ */
+export function createSaveCalls(notion, { databaseID, schema, mapping, endpoints, resolvers = {} }) {
+  const throttled = {
+    databases: {
+      query: limiters.notion.wrap((args) => notion.databases.query(args)),
+    },
+    fileUploads: {
+      create: limiters.notion.wrap((args) => notion.fileUploads.create(args)),
+      send: limiters.notion.wrap((args) => notion.fileUploads.send(args)),
+    },
+  };
+
+  return {
+    // Duplicate queries are retried by findExistingPage()
+    findDuplicate: (book) =>
+      findExistingPage(throttled, { databaseID, schema, mapping, book }),
+
+    createPage: (data) => {
+      // Log the data object for debugging
+      console.log(`Data object for the new Notion page:`);
+      console.dir(data);
+
+      return sendNotionRequest("Creating new page in Notion", () => notion.pages.create(data));
+    },
+
+    updatePage: (data) =>
+      sendNotionRequest("Updating existing page in Notion", () => notion.pages.update(data)),
+
+    // Appended in batches that fit Notion's per-request limit
+    appendBlocks: async (pageID, blocks) => {
+      for (const children of chunkBlocks(blocks)) {
+        await sendNotionRequest("Appending blocks to the page body", () =>
+          notion.blocks.children.append({ block_id: pageID, children })
+        );
+      }
+    },
+
+    // The image is downloaded again rather than kept in memory from the cover check, so large runs don't hold every
+    // cover at once
+    uploadCover: async (book) => {
+      const image = await fetchCoverImage(book.cover_image, endpoints);
+
+      if (!image) {
+        throw new Error(`Couldn't download the cover image.`);
+      }
+
+      const contentType = image.contentType ?? "image/jpeg";
+      const extension = contentType === "image/png" ? "png" : "jpg";
+
+      return await uploadImage(throttled, {
+        data: image.data,
+        contentType,
+        filename: `${book.isbn_13 || "cover"}.${extension}`,
+      });
+    },
+
+    linkPages: (data, link) =>
+      applyRelation(data, link.property, link.names, resolvers[link.key]),
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Helpers for building the book record that Fetch_Book returns and Create_Notion_Page consumes.
+ */
+
+/**
+ * Creates a blank book record for the given ISBNs. Empty fields are removed before the record is returned.
+ */
+export function createBookRecord({ isbn_13, isbn_10 } = {}) {
+  return {
+    db: "",
+    db_id: "",
+    status: "",
+    title: "",
+    author: "",
+    authors: "",
+    cover_image: "",
+    cover_source: "",
+    cover_width: "",
+    cover_height: "",
+    isbn_13: isbn_13 ?? "",
+    isbn_10: isbn_10 ?? "",
+    publish_year: "",
+    first_publish_year: "",
+    publish_date: "",
+    publisher: "",
+    page_count: "",
+    series_name: "",
+    series_number: "",
+    subjects: "",
+    categories: "",
+    language: "",
+    description: "",
+    info_link: "",
+    google_books_id: "",
+    open_library_id: "",
+    library_of_congress_id: "",
+    full_record: "",
+    sources: {},
+  };
+}
+
+/**
+ * Builds the book title, appending the subtitle to the original title if it exists.
+ */
+export function buildBookTitle(book) {
+  let title = book.title ?? "";
+
+  if (book.subtitle && book.subtitle !== "") {
+    title += `: ${book.subtitle}`;
+  }
+
+  return title;
+}
+
+/**
+ * Pulls a 4-digit year out of a date string ("2019-05-07", "c1951", "May 2019"). Returns "" if there isn't one.
+ */
+export function parseYear(value) {
+  const match = String(value ?? "").match(/\d{4}/);
+  return match ? parseInt(match[0]) : "";
+}
+
+/**
+ * Turns a language code (ISO 639-1 like "en" or ISO 639-2 like "eng") into its English name. Returns the code
+ * unchanged if it isn't recognized.
+ */
+export function languageName(code) {
+  if (!code) {
+    return "";
+  }
+
+  try {
+    return (
+      new Intl.DisplayNames(["en"], { type: "language" }).of(code) ?? code
+    );
+  } catch (error) {
+    return code;
+  }
+}
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Normalizes a publish date to ISO 8601, keeping only the precision the source has: "2019-05-07", "2019-05" or
+ * "2019". Understands ISO dates and the free-text dates Open Library uses ("May 7, 2019", "May 2019", "c1951").
+ * Returns "" if there's no year.
+ */
+export function normalizeDate(value) {
+  const text = String(value ?? "").trim();
+
+  const iso = text.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (iso) {
+    return iso.slice(1).filter(Boolean).join("-");
+  }
+
+  const year = parseYear(text);
+  if (year === "") {
+    return "";
+  }
+
+  const monthIndex = MONTHS.findIndex((month) =>
+    text.toLowerCase().includes(month)
+  );
+  if (monthIndex === -1) {
+    return String(year);
+  }
+
+  const month = String(monthIndex + 1).padStart(2, "0");
+  const day = text.match(/\b(\d{1,2})\b/);
+
+  return day
+    ? `${year}-${month}-${day[1].padStart(2, "0")}`
+    : `${year}-${month}`;
+}
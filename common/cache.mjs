@@ -0,0 +1,221 @@
+import { promises as fs } from "fs";
+
+/**
+ * A small lookup cache, so rescans and batch imports don't hit the book APIs again for books we've already seen.
+ *
+ * Entries are keyed by provider and normalized ISBN (e.g. "open_library:9781517004446"). "Not found" results are
+ * cached too, for a shorter time, since a provider may add the book later. The cache sits on top of a pluggable
+ * store; every store has the same async get(key) / set(key, entry, ttlSeconds) interface, plus an optional flush()
+ * for stores that hold writes back until the end of the run.
+ */
+
+/**
+ * Where cached lookups can be kept.
+ */
+export const CACHE_STORES = [
+  {
+    label: "Off – always fetch fresh data",
+    value: "off",
+  },
+  {
+    label: "Local file – kept in /tmp while the workflow stays warm",
+    value: "file",
+  },
+  {
+    label: "Pipedream data store – kept across runs (select a data store below)",
+    value: "data_store",
+  },
+];
+
+/**
+ * The props for configuring the cache, shared by every step that looks books up.
+ */
+export const CACHE_PROPS = {
+  cache_store: {
+    type: "string",
+    label: "Lookup Cache",
+    description: "Where to cache book lookups, so rescanning a book doesn't use up API quota. Results are cached per source and ISBN.",
+    options: CACHE_STORES,
+    default: "file",
+    optional: true,
+  },
+  data_store: {
+    type: "data_store",
+    label: "Cache Data Store",
+    description: "The data store to keep cached lookups in. Only used when **Lookup Cache** is set to Pipedream data store.",
+    optional: true,
+  },
+  cache_ttl_hours: {
+    type: "integer",
+    label: "Cache Duration (Hours)",
+    description: "How long to keep a book's data before fetching it again. Defaults to 720 hours (30 days).",
+    default: 720,
+    min: 1,
+    optional: true,
+  },
+  cache_negative_ttl_hours: {
+    type: "integer",
+    label: "Not Found Cache Duration (Hours)",
+    description: "How long to remember that a source doesn't have a book before checking again. Defaults to 24 hours.",
+    default: 24,
+    min: 1,
+    optional: true,
+  },
+  bypass_cache: {
+    type: "boolean",
+    label: "Bypass Cache",
+    description: "If enabled, cached lookups are ignored and every book is fetched fresh (the fresh results are still cached). You can also bypass the cache for a single request by sending `\"refresh\": true` in the trigger body.",
+    default: false,
+    optional: true,
+  },
+};
+
+export const DEFAULT_CACHE_FILE = "/tmp/book-scanner-cache.json";
+
+/**
+ * A store backed by a Pipedream data store prop: https://pipedream.com/docs/data-stores
+ */
+export function createDataStoreStore(dataStore) {
+  return {
+    async get(key) {
+      return (await dataStore.get(key)) ?? null;
+    },
+    async set(key, entry, ttlSeconds) {
+      await dataStore.set(key, entry, { ttl: ttlSeconds });
+    },
+  };
+}
+
+/**
+ * A store backed by a JSON file. Entries are kept in memory and the file is only written by flush(), so a batch
+ * writes it once rather than once per lookup.
+ */
+export function createFileStore(path = DEFAULT_CACHE_FILE) {
+  let entries = null;
+  let changed = false;
+
+  const load = async () => {
+    if (!entries) {
+      try {
+        entries = JSON.parse(await fs.readFile(path, "utf8"));
+      } catch (error) {
+        entries = {};
+      }
+    }
+
+    return entries;
+  };
+
+  return {
+    async get(key) {
+      return (await load())[key] ?? null;
+    },
+    async set(key, entry) {
+      (await load())[key] = entry;
+      changed = true;
+    },
+    async flush() {
+      if (!changed) {
+        return;
+      }
+
+      // Drop expired entries while we're rewriting the file anyway
+      const now = Date.now();
+      for (const [name, value] of Object.entries(entries)) {
+        if (value.expires_at < now) {
+          delete entries[name];
+        }
+      }
+
+      changed = false;
+      await fs.writeFile(path, JSON.stringify(entries));
+    },
+  };
+}
+
+/**
+ * Wraps a store with TTL handling.
+ *
+ * - ttl: how long found results are kept, in seconds
+ * - negativeTTL: how long "not found" (null) results are kept, in seconds
+ * - bypass: skip reading the cache, but still write fresh results to it
+ *
+ * With no store, wrap() just calls through, so callers don't need to check whether caching is on.
+ */
+export function createCache(store, { ttl, negativeTTL, bypass = false } = {}) {
+  return {
+    /**
+     * Returns the cached value for a key, calling `fetch` and caching its result on a miss.
+     */
+    async wrap(key, fetch) {
+      if (!store) {
+        return await fetch();
+      }
+
+      if (!bypass) {
+        try {
+          const entry = await store.get(key);
+
+          if (entry && entry.expires_at > Date.now()) {
+            console.log(`Using cached result for ${key}.`);
+            return entry.value;
+          }
+        } catch (error) {
+          console.error(`Couldn't read ${key} from the cache: ${error.message}`);
+        }
+      }
+
+      const value = await fetch();
+      const seconds = value === null || value === undefined ? negativeTTL : ttl;
+
+      try {
+        await store.set(
+          key,
+          {
+            value: value ?? null,
+            expires_at: Date.now() + seconds * 1000,
+          },
+          seconds
+        );
+      } catch (error) {
+        console.error(`Couldn't write ${key} to the cache: ${error.message}`);
+      }
+
+      return value;
+    },
+    /**
+     * Writes any held-back entries to the store. Call it once the step is done looking books up.
+     */
+    async flush() {
+      try {
+        await store?.flush?.();
+      } catch (error) {
+        console.error(`Couldn't save the cache: ${error.message}`);
+      }
+    },
+  };
+}
+
+/**
+ * Builds a cache from a step's cache props.
+ */
+export function createCacheFromProps(props, { bypass = false } = {}) {
+  const mode = props.cache_store ?? "file";
+
+  let store = null;
+  if (mode === "data_store") {
+    if (!props.data_store) {
+      console.log(`No data store selected, so lookups won't be cached.`);
+    } else {
+      store = createDataStoreStore(props.data_store);
+    }
+  } else if (mode === "file") {
+    store = createFileStore();
+  }
+
+  return createCache(store, {
+    ttl: (props.cache_ttl_hours ?? 720) * 3600,
+    negativeTTL: (props.cache_negative_ttl_hours ?? 24) * 3600,
+    bypass: bypass || props.bypass_cache === true,
+  });
+}
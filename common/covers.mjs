@@ -0,0 +1,103 @@
+// Import image-size, which reads an image's pixel dimensions from its header: https://github.com/image-size/image-size
+import { imageSize } from "image-size";
+
+/**
+ * Cover image resolution.
+ *
+ * Each provider suggests cover candidates ({ url, source, probe_url? }). Every candidate is downloaded and measured,
+ * placeholder images are thrown out, and the largest real cover wins. `probe_url` is used for the download when the
+ * stored URL would return a placeholder instead of a 404 (e.g. Open Library's "?default=false").
+ */
+
+/**
+ * Anything smaller than this on either side is a spacer or an icon, not a cover.
+ */
+const MIN_DIMENSION = 50;
+
+/**
+ * Real covers are never this small on disk. Catches 1x1 tracking GIFs and blank images.
+ */
+const MIN_BYTES = 1000;
+
+/**
+ * Book covers are portrait or close to square. Wider images are banners or "no image" graphics.
+ */
+const MAX_ASPECT_RATIO = 1.5;
+
+/**
+ * Returns a reason if the image looks like a placeholder rather than a real cover, or null if it looks real.
+ */
+function placeholderReason(candidate, image, size) {
+  if (image.data.length < MIN_BYTES) {
+    return `only ${image.data.length} bytes`;
+  }
+
+  if (size.width < MIN_DIMENSION || size.height < MIN_DIMENSION) {
+    return `only ${size.width}x${size.height}px`;
+  }
+
+  if (size.width / size.height > MAX_ASPECT_RATIO) {
+    return `landscape image (${size.width}x${size.height}px)`;
+  }
+
+  // Google Books serves real covers as JPEGs, and its "image not available" graphic as a PNG
+  if (candidate.source === "google_books" && size.type === "png") {
+    return `Google Books placeholder (PNG)`;
+  }
+
+  return null;
+}
+
+/**
+ * Downloads and measures each candidate, returning the largest real cover:
+ * { url, source, width, height, content_type }. Returns null if none of the candidates is usable.
+ *
+ * `fetchImage(url)` is supplied by the calling step and returns { data: Buffer, contentType } or null.
+ */
+export async function resolveCover(candidates, { fetchImage }) {
+  const seen = new Set();
+  let best = null;
+
+  for (const candidate of candidates) {
+    if (seen.has(candidate.url)) {
+      continue;
+    }
+    seen.add(candidate.url);
+
+    console.log(`Checking cover candidate from ${candidate.source}: ${candidate.url}`);
+    const image = await fetchImage(candidate.probe_url ?? candidate.url);
+
+    if (!image) {
+      continue;
+    }
+
+    let size;
+    try {
+      size = imageSize(image.data);
+    } catch (error) {
+      console.log(`Couldn't read the image's dimensions: ${error.message}`);
+      continue;
+    }
+
+    const reason = placeholderReason(candidate, image, size);
+    if (reason) {
+      console.log(`Rejected cover as a placeholder: ${reason}`);
+      continue;
+    }
+
+    console.log(`Cover is ${size.width}x${size.height}px.`);
+
+    // Candidates come in provider priority order, so only a strictly larger cover replaces the current best.
+    if (!best || size.width * size.height > best.width * best.height) {
+      best = {
+        url: candidate.url,
+        source: candidate.source,
+        width: size.width,
+        height: size.height,
+        content_type: image.contentType,
+      };
+    }
+  }
+
+  return best;
+}
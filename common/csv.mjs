@@ -0,0 +1,38 @@
+// Import csv-parse, which is used to read CSV files: https://csv.js.org/parse/
+import { parse } from "csv-parse/sync";
+
+/**
+ * Reading and writing the CSV files used to import and export books.
+ */
+
+/**
+ * Parses CSV text with a header row. Returns { columns, records }, where each record maps column names to values.
+ */
+export function readCSV(text) {
+  const records = parse(text, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+  });
+
+  return {
+    columns: records.length > 0 ? Object.keys(records[0]) : [],
+    records,
+  };
+}
+
+/**
+ * Quotes a value for a CSV cell. Lists are joined with commas, and blanks become empty cells.
+ */
+function toCSVCell(value) {
+  const text = Array.isArray(value) ? value.join(", ") : String(value ?? "");
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Writes a header row and rows of values (both arrays) as CSV text.
+ */
+export function writeCSV(columns, rows) {
+  return [columns, ...rows].map((row) => row.map(toCSVCell).join(",")).join("\n");
+}
@@ -0,0 +1,194 @@
+import { callNotion } from "./http.mjs";
+import { normalizeText } from "./text.mjs";
+
+/**
+ * Helpers for finding a book that's already in the Notion database, and for working out which properties of an
+ * existing page can be filled in without touching anything the user has already set.
+ */
+
+/**
+ * What the Create_Notion_Page step should do when it finds an existing page for the book.
+ */
+export const DUPLICATE_MODES = [
+  {
+    label: "Skip – leave the existing page alone",
+    value: "skip",
+  },
+  {
+    label: "Update – fill in the existing page's empty properties",
+    value: "update_empty",
+  },
+  {
+    label: "Overwrite – replace the existing page's properties",
+    value: "overwrite",
+  },
+  {
+    label: "Always create a new page",
+    value: "create",
+  },
+];
+
+/**
+ * Returns the plain text of a title or rich_text property value.
+ */
+export function getPlainText(propertyValue) {
+  const parts = propertyValue?.title ?? propertyValue?.rich_text ?? [];
+  return parts.map((part) => part.plain_text ?? part.text?.content ?? "").join("");
+}
+
+/**
+ * Builds the database query filter that matches a book's ISBN-13, based on the type of the mapped property.
+ * Returns null if the property type can't hold an ISBN.
+ */
+export function buildISBNFilter(property, type, isbn) {
+  if (type === "number") {
+    return { property, number: { equals: Number(isbn) } };
+  }
+
+  if (type === "rich_text" || type === "title") {
+    return { property, [type]: { equals: String(isbn) } };
+  }
+
+  return null;
+}
+
+/**
+ * Finds an existing page for the book in the database.
+ *
+ * Tries the mapped ISBN-13 property first. If there's no ISBN mapping (or no match), falls back to comparing the
+ * normalized title, and the normalized author when an author property is mapped.
+ *
+ * Returns { page, matched_by } or null.
+ */
+export async function findExistingPage(
+  notion,
+  { databaseID, schema, mapping, book }
+) {
+  if (mapping.isbn_13 && book.isbn_13 && schema[mapping.isbn_13]) {
+    const filter = buildISBNFilter(
+      mapping.isbn_13,
+      schema[mapping.isbn_13].type,
+      book.isbn_13
+    );
+
+    if (filter) {
+      console.log(`Checking for an existing page with ISBN: ${book.isbn_13}`);
+      const response = await callNotion(
+        () =>
+          notion.databases.query({
+            database_id: databaseID,
+            filter,
+            page_size: 1,
+          }),
+        { label: "Querying the database by ISBN" }
+      );
+
+      if (response.results.length > 0) {
+        return { page: response.results[0], matched_by: "isbn_13" };
+      }
+    }
+  }
+
+  if (!mapping.title || !book.title) {
+    return null;
+  }
+
+  // Notion can't filter on a normalized value, so narrow the query down with the main title (no subtitle), then
+  // compare normalized values here. A common title can match more pages than fit in one response, so keep paging
+  // until there's a match or no more results.
+  const mainTitle = book.title.split(":")[0].trim();
+  const title = normalizeText(book.title);
+  const author = normalizeText(book.author);
+
+  const isMatch = (page) => {
+    if (normalizeText(getPlainText(page.properties[mapping.title])) !== title) {
+      return false;
+    }
+
+    // Only compare authors when both sides have one. A page with a blank author still counts as a match.
+    if (mapping.author && author && page.properties[mapping.author]) {
+      const pageAuthor = normalizeText(
+        getPlainText(page.properties[mapping.author])
+      );
+
+      return pageAuthor === "" || pageAuthor === author;
+    }
+
+    return true;
+  };
+
+  console.log(`Checking for an existing page with title: ${mainTitle}`);
+  let cursor = null;
+  let match = null;
+
+  do {
+    const response = await callNotion(
+      () =>
+        notion.databases.query({
+          database_id: databaseID,
+          filter: {
+            property: mapping.title,
+            title: { contains: mainTitle },
+          },
+          page_size: 100,
+          ...(cursor && { start_cursor: cursor }),
+        }),
+      { label: "Querying the database by title" }
+    );
+
+    match = response.results.find(isMatch) ?? null;
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (!match && cursor);
+
+  return match ? { page: match, matched_by: "title_author" } : null;
+}
+
+/**
+ * Returns true if an existing page's property value is blank.
+ */
+export function isEmptyPropertyValue(propertyValue) {
+  if (!propertyValue) {
+    return true;
+  }
+
+  const value = propertyValue[propertyValue.type];
+
+  if (value === null || value === undefined || value === "") {
+    return true;
+  }
+
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+
+  return false;
+}
+
+/**
+ * Narrows a pages.create payload down to an update payload that only fills the existing page's blank properties
+ * (and its cover, if it has none).
+ */
+export function buildFillEmptyUpdate(existingPage, data) {
+  const properties = Object.fromEntries(
+    Object.entries(data.properties).filter(([name]) =>
+      isEmptyPropertyValue(existingPage.properties[name])
+    )
+  );
+
+  return {
+    page_id: existingPage.id,
+    ...(data.cover && !existingPage.cover && { cover: data.cover }),
+    properties,
+  };
+}
+
+/**
+ * Turns a pages.create payload into an update payload that overwrites the existing page's mapped properties.
+ */
+export function buildOverwriteUpdate(existingPage, data) {
+  return {
+    page_id: existingPage.id,
+    ...(data.cover && { cover: data.cover }),
+    properties: data.properties,
+  };
+}
@@ -0,0 +1,226 @@
+import { BookScannerError, ProviderDownError, RequestError } from "./errors.mjs";
+import { fetchData } from "./http.mjs";
+
+/**
+ * The base URLs of every service the book sources talk to, and the one place request URLs are built.
+ *
+ * Each base URL can be changed with a step prop or an environment variable, e.g. to point Open Library at a mirror,
+ * or every source at local stub servers in CI. Props win over environment variables, which win over the defaults.
+ *
+ * Providers build every URL with buildURL(), passing `config.endpoints` from their context.
+ */
+
+/**
+ * The configurable endpoints.
+ *
+ * - env: the environment variable that overrides the default
+ * - health: the path requested by the health check, or null to skip it
+ * - limiter: the rate limiter the endpoint shares, if it isn't its own
+ * - link: the endpoint is only used for links shown to people, so it has no prop (only the environment variable)
+ */
+export const ENDPOINTS = {
+  google_books: {
+    label: "Google Books API URL",
+    env: "GOOGLE_BOOKS_URL",
+    default: "https://www.googleapis.com/books/v1",
+    health: "/volumes?q=isbn:9780547928227&maxResults=1",
+  },
+  google_books_links: {
+    label: "Google Books Link URL",
+    env: "GOOGLE_BOOKS_LINKS_URL",
+    default: "https://books.google.com",
+    health: null,
+    limiter: "google_books",
+    link: true,
+  },
+  open_library: {
+    label: "Open Library URL",
+    env: "OPEN_LIBRARY_URL",
+    default: "https://openlibrary.org",
+    health: "/search.json?q=hobbit&limit=1",
+  },
+  open_library_covers: {
+    label: "Open Library Covers URL",
+    env: "OPEN_LIBRARY_COVERS_URL",
+    default: "https://covers.openlibrary.org",
+    health: "/",
+    limiter: "open_library",
+  },
+  library_of_congress: {
+    label: "Library of Congress SRU URL",
+    env: "LIBRARY_OF_CONGRESS_URL",
+    // The SRU server on port 210 only speaks plain HTTP
+    default: "http://lx2.loc.gov:210/lcdb",
+    health: "?version=1.1&operation=explain",
+  },
+  library_of_congress_links: {
+    label: "Library of Congress Permalink URL",
+    env: "LIBRARY_OF_CONGRESS_LINKS_URL",
+    default: "https://lccn.loc.gov",
+    health: null,
+    limiter: "library_of_congress",
+    link: true,
+  },
+};
+
+/**
+ * The default base URLs, keyed by endpoint.
+ */
+export const DEFAULT_ENDPOINTS = Object.fromEntries(
+  Object.entries(ENDPOINTS).map(([key, endpoint]) => [key, endpoint.default])
+);
+
+/**
+ * How long the health check waits for each endpoint, in milliseconds.
+ */
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+/**
+ * The props for overriding the endpoints, shared by every step that looks books up.
+ */
+export const ENDPOINT_PROPS = {
+  ...Object.fromEntries(
+    Object.entries(ENDPOINTS)
+      .filter(([, endpoint]) => !endpoint.link)
+      .map(([key, endpoint]) => [
+        `${key}_url`,
+        {
+          type: "string",
+          label: endpoint.label,
+          description: `Optionally, a base URL to use instead of ${endpoint.default}, e.g. a mirror or a local stub server. Can also be set with the ${endpoint.env} environment variable.`,
+          optional: true,
+        },
+      ])
+  ),
+  check_endpoints: {
+    type: "boolean",
+    label: "Check Endpoints First",
+    description: "If enabled, every endpoint the selected sources use is checked before the lookup, and the step stops with an error listing any that can't be reached. Useful when pointing the sources at a mirror or stub servers.",
+    default: false,
+    optional: true,
+  },
+};
+
+/**
+ * Works out each endpoint's base URL from a step's props and the environment. Throws a BookScannerError with the
+ * code INVALID_ENDPOINT if one isn't an http(s) URL.
+ */
+export function resolveEndpoints(props = {}, env = process.env) {
+  return Object.fromEntries(
+    Object.entries(ENDPOINTS).map(([key, endpoint]) => {
+      const value = (props[`${key}_url`] || env[endpoint.env] || endpoint.default).trim();
+
+      if (!/^https?:\/\/[^/]+/i.test(value)) {
+        throw new BookScannerError(
+          `${endpoint.label} must be an http:// or https:// URL. Got: ${value}`,
+          { code: "INVALID_ENDPOINT" }
+        );
+      }
+
+      return [key, value.replace(/\/+$/, "")];
+    })
+  );
+}
+
+/**
+ * Builds a request URL: the endpoint's base URL, then `path`, then `params` as a query string. Parameters set to
+ * undefined or null are left out.
+ */
+export function buildURL(endpoints, key, path = "", params = null) {
+  const base = endpoints?.[key] ?? DEFAULT_ENDPOINTS[key];
+
+  const query = params
+    ? new URLSearchParams(
+        Object.entries(params).filter(
+          ([, value]) => value !== undefined && value !== null
+        )
+      ).toString()
+    : "";
+
+  return `${base}${path}${query ? `${path.includes("?") ? "&" : "?"}${query}` : ""}`;
+}
+
+/**
+ * Returns the rate limiter key (a provider ID) for a URL: the endpoint it starts with, or Google Books for the
+ * image host Google's records link to. Returns null for anything else.
+ */
+export function limiterForURL(url, endpoints = DEFAULT_ENDPOINTS) {
+  const match = Object.entries(endpoints)
+    // Longest base URL first, so a mirror at https://host/openlibrary wins over one at https://host
+    .sort(([, a], [, b]) => b.length - a.length)
+    .find(([, base]) => url.startsWith(base));
+
+  if (match) {
+    const [key] = match;
+    return ENDPOINTS[key]?.limiter ?? key;
+  }
+
+  // Some of Google's cover images are served from googleusercontent.com
+  if (/^https?:\/\/([^/]+\.)?googleusercontent\.com\//.test(url)) {
+    return "google_books";
+  }
+
+  return null;
+}
+
+/**
+ * Checks that the endpoints used by the given providers respond. Any response below 500 counts as up, since a stub
+ * or a keyless request can fairly answer with a 4xx. Returns { endpoint, url, ok, status, message } for each.
+ */
+export async function checkEndpoints(endpoints, providerIDs) {
+  const keys = Object.keys(ENDPOINTS).filter(
+    (key) =>
+      ENDPOINTS[key].health !== null &&
+      providerIDs.some((id) => key === id || key.startsWith(`${id}_`))
+  );
+
+  return await Promise.all(
+    keys.map(async (key) => {
+      const url = buildURL(endpoints, key, ENDPOINTS[key].health);
+
+      try {
+        await fetchData(url, {
+          service: ENDPOINTS[key].label.replace(/ URL$/, ""),
+          timeout: HEALTH_CHECK_TIMEOUT,
+          retries: 0,
+        });
+
+        return { endpoint: key, url, ok: true, status: 200, message: "OK" };
+      } catch (error) {
+        if (!(error instanceof RequestError)) {
+          throw error;
+        }
+
+        return {
+          endpoint: key,
+          url,
+          ok: !(error instanceof ProviderDownError),
+          status: error.status,
+          message: error.message,
+        };
+      }
+    })
+  );
+}
+
+/**
+ * Runs the health check and throws a ProviderDownError listing the endpoints that are down.
+ */
+export async function assertEndpointsHealthy(endpoints, providerIDs) {
+  const results = await checkEndpoints(endpoints, providerIDs);
+
+  results.forEach((result) =>
+    console.log(`Health check: ${result.url} – ${result.ok ? "up" : "down"} (${result.message})`)
+  );
+
+  const down = results.filter((result) => !result.ok);
+
+  if (down.length > 0) {
+    throw new ProviderDownError(
+      `Can't reach ${down.map((result) => `${ENDPOINTS[result.endpoint].label} (${result.url})`).join(", ")}.`,
+      { service: down.map((result) => result.endpoint).join(", ") }
+    );
+  }
+
+  return results;
+}
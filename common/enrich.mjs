@@ -0,0 +1,57 @@
+import { isEmptyPropertyValue } from "./duplicates.mjs";
+import { normalizeISBN } from "./isbn.mjs";
+import { BOOK_FIELDS, readPropertyValue } from "./notion-properties.mjs";
+import { USER_FIELDS } from "./payload.mjs";
+
+/**
+ * Helpers for re-enriching pages that are already in the database: finding the ones with an ISBN but blank mapped
+ * properties, so the lookup can be run again to fill them in.
+ */
+
+/**
+ * Builds the database query filter that matches pages with an ISBN, based on the type of the mapped property.
+ * Returns null if the property type can't hold an ISBN.
+ */
+export function buildHasISBNFilter(property, type) {
+  if (type === "number" || type === "rich_text" || type === "title") {
+    return { property, [type]: { is_not_empty: true } };
+  }
+
+  return null;
+}
+
+/**
+ * Reads a page's ISBN. Returns { isbn_13, isbn_10 }, or null if the page has no valid ISBN.
+ */
+export function readPageISBN(page, property) {
+  const value = readPropertyValue(page.properties[property]);
+
+  if (value === null) {
+    return null;
+  }
+
+  try {
+    return normalizeISBN(String(value));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the mapped book fields whose property is blank on a page, as field keys. When `cover` is on (covers are being
+ * filled), a page with no cover also lists "cover".
+ *
+ * Only fields a source can supply count. The ones sent with a scan (shelf, rating, notes, ...) are left out, since a
+ * lookup can never fill them. Mappings to properties the database doesn't have are ignored.
+ */
+export function findBlankFields(page, schema, mapping, { cover = false } = {}) {
+  const blanks = Object.keys(BOOK_FIELDS).filter(
+    (key) =>
+      !USER_FIELDS.includes(key) &&
+      mapping[key] &&
+      schema[mapping[key]] &&
+      isEmptyPropertyValue(page.properties[mapping[key]])
+  );
+
+  return cover && !page.cover ? [...blanks, "cover"] : blanks;
+}
@@ -0,0 +1,94 @@
+/**
+ * Error classes shared by the book scanner steps.
+ *
+ * Each error carries a stable `code`, so callers can check what went wrong without parsing the message.
+ */
+
+/**
+ * Base class for every error thrown on purpose by this workflow.
+ */
+export class BookScannerError extends Error {
+  constructor(message, { code = "BOOK_SCANNER_ERROR", cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when the submitted value isn't a valid ISBN-10 or ISBN-13 number.
+ */
+export class InvalidISBNError extends BookScannerError {
+  constructor(message, { input, cause } = {}) {
+    super(message, { code: "INVALID_ISBN", cause });
+    this.input = input;
+  }
+}
+
+/**
+ * Thrown when the trigger's request body doesn't match the payload schema. `errors` lists every problem as
+ * { field, message }, so a client can point at the exact field.
+ */
+export class InvalidPayloadError extends BookScannerError {
+  constructor(message, { errors = [], cause } = {}) {
+    super(message, { code: "INVALID_PAYLOAD", cause });
+    this.errors = errors;
+  }
+}
+
+/**
+ * Base class for a failed request to a book source or to Notion. `status` is the HTTP status code, or null if no
+ * response came back (e.g. a DNS failure or a timeout). `retryable` says whether trying again could help.
+ *
+ * Use the subclasses below to decide what to do; anything else is a request the service refused (e.g. a 400).
+ */
+export class RequestError extends BookScannerError {
+  constructor(
+    message,
+    { code = "REQUEST_FAILED", service, status = null, retryable = false, cause } = {}
+  ) {
+    super(message, { code, cause });
+    this.service = service;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Thrown when the service has no such record (404).
+ */
+export class NotFoundError extends RequestError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "NOT_FOUND", retryable: false });
+  }
+}
+
+/**
+ * Thrown when the service rejects the credentials (401 or 403), e.g. an invalid Google Books key or a Notion
+ * connection without access to the database.
+ */
+export class AuthError extends RequestError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "AUTH_ERROR", retryable: false });
+  }
+}
+
+/**
+ * Thrown when the service is rate limiting us (429). `retryAfter` is how long it asked us to wait, in milliseconds,
+ * or null if it didn't say.
+ */
+export class RateLimitedError extends RequestError {
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, { ...options, code: "RATE_LIMITED", retryable: true });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Thrown when the service is down or unreachable: a 5xx response, a timeout, or no response at all.
+ */
+export class ProviderDownError extends RequestError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "PROVIDER_DOWN", retryable: true });
+  }
+}
@@ -0,0 +1,153 @@
+import { BOOK_FIELDS, readPropertyValue } from "./notion-properties.mjs";
+import { writeCSV } from "./csv.mjs";
+
+/**
+ * Helpers for reading books back out of the Notion database and writing them to portable files.
+ *
+ * Pages are read through the same field mapping Create_Notion_Page writes with, so each book comes back as a plain
+ * record keyed by book field (title, author, isbn_13, ...), plus the reading fields and the page's URL.
+ */
+
+/**
+ * The formats books can be exported in.
+ */
+export const EXPORT_FORMATS = [
+  {
+    label: "CSV – one column per mapped field",
+    value: "csv",
+  },
+  {
+    label: "JSON Lines – one JSON object per book",
+    value: "jsonl",
+  },
+  {
+    label: "Goodreads CSV – for Goodreads' Import Books tool",
+    value: "goodreads",
+  },
+];
+
+/**
+ * The reading props (see reading.mjs) that are exported along with the book fields.
+ */
+const READING_FIELDS = ["reading_status", "started_date", "finished_date", "reread_count"];
+
+/**
+ * Turns a database page into a book record, using the step's field and reading mappings. Unmapped and blank fields
+ * are left out.
+ */
+export function pageToRecord(page, mapping) {
+  const fields = [...Object.keys(BOOK_FIELDS), ...READING_FIELDS]
+    .filter((key) => mapping[key])
+    .map((key) => [key, readPropertyValue(page.properties[mapping[key]])])
+    .filter(([, value]) => value !== null && !(Array.isArray(value) && value.length === 0));
+
+  return {
+    ...Object.fromEntries(fields),
+    added_at: page.created_time,
+    page_url: page.url,
+  };
+}
+
+/**
+ * Writes records as CSV, with a column for every field any record has, in book field order.
+ */
+export function recordsToCSV(records) {
+  const keys = [...Object.keys(BOOK_FIELDS), ...READING_FIELDS, "added_at", "page_url"];
+  const columns = keys.filter((key) => records.some((record) => record[key] !== undefined));
+
+  return writeCSV(
+    columns,
+    records.map((record) => columns.map((column) => record[column]))
+  );
+}
+
+/**
+ * Writes records as JSON Lines.
+ */
+export function recordsToJSONLines(records) {
+  return records.map((record) => JSON.stringify(record)).join("\n");
+}
+
+/**
+ * The columns Goodreads' import reads, named as in its own export.
+ */
+const GOODREADS_COLUMNS = [
+  "Title",
+  "Author",
+  "ISBN",
+  "ISBN13",
+  "My Rating",
+  "Publisher",
+  "Binding",
+  "Number of Pages",
+  "Year Published",
+  "Original Publication Year",
+  "Date Read",
+  "Date Added",
+  "Bookshelves",
+  "Exclusive Shelf",
+  "My Review",
+  "Read Count",
+];
+
+/**
+ * Returns the Goodreads shelf for a reading stage: the last stage is read, the second is currently-reading, and
+ * anything else is to-read. This is the reverse of statusToStageIndex() (see imports.mjs).
+ */
+function stageToShelf(stage, stages) {
+  const index = stages.findIndex(
+    (name) => name.toLowerCase() === String(stage ?? "").toLowerCase()
+  );
+  const last = stages.length - 1;
+
+  if (index === last && last > 0) {
+    return "read";
+  }
+
+  if (index === 1) {
+    return "currently-reading";
+  }
+
+  return "to-read";
+}
+
+/**
+ * Formats an ISO date the way Goodreads does (2023/05/07).
+ */
+function toGoodreadsDate(value) {
+  return value ? String(value).substring(0, 10).replace(/-/g, "/") : "";
+}
+
+/**
+ * Writes records as a CSV that Goodreads' Import Books tool accepts. `stages` are the step's reading stages, used to
+ * pick each book's shelf.
+ */
+export function recordsToGoodreadsCSV(records, stages) {
+  const rows = records.map((record) => {
+    const shelf = stageToShelf(record.reading_status, stages);
+    const rating = Number(record.rating);
+    const reads = shelf === "read" ? 1 + (Number(record.reread_count) || 0) : 0;
+
+    return [
+      record.title,
+      record.author,
+      record.isbn_10,
+      record.isbn_13,
+      // Goodreads only takes whole stars, and 0 means unrated
+      Number.isFinite(rating) ? Math.round(rating) : 0,
+      record.publisher,
+      record.format,
+      record.page_count,
+      record.publish_year,
+      record.first_publish_year,
+      toGoodreadsDate(record.finished_date),
+      toGoodreadsDate(record.added_at),
+      record.tags,
+      shelf,
+      record.notes,
+      reads,
+    ];
+  });
+
+  return writeCSV(GOODREADS_COLUMNS, rows);
+}
@@ -0,0 +1,64 @@
+/**
+ * Small helpers for the HTML snippets some providers return (Google Books descriptions are HTML).
+ */
+
+const ENTITIES = {
+  nbsp: " ",
+  quot: '"',
+  apos: "'",
+  lt: "<",
+  gt: ">",
+  amp: "&",
+  mdash: "—",
+  ndash: "–",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+};
+
+/**
+ * Decodes named and numeric HTML entities. Entities that aren't valid code points are left as they are.
+ */
+export function decodeEntities(text) {
+  return String(text ?? "").replace(
+    /&(#x[\da-f]+|#\d+|[a-z]+);/gi,
+    (entity, code) => {
+      if (code[0] === "#") {
+        const number =
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.substring(2), 16)
+            : parseInt(code.substring(1));
+        return number > 0 && number <= 0x10ffff
+          ? String.fromCodePoint(number)
+          : entity;
+      }
+
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    }
+  );
+}
+
+/**
+ * Returns true if the text contains HTML tags.
+ */
+export function isHTML(text) {
+  return /<\/?[a-z][^>]*>/i.test(String(text ?? ""));
+}
+
+/**
+ * Converts an HTML snippet (like a Google Books description) to plain text, keeping paragraph and line breaks.
+ */
+export function htmlToPlainText(html) {
+  return decodeEntities(
+    String(html ?? "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|h[1-6])>/gi, "\n\n")
+      .replace(/<\/li>/gi, "\n")
+      .replace(/<li[^>]*>/gi, "• ")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
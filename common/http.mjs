@@ -0,0 +1,256 @@
+// Import Axios, which is used to make HTTP requests to APIs (in this case, Google Books and Open Library): https://axios-http.com/docs/intro
+import axios from "axios";
+
+import {
+  AuthError,
+  NotFoundError,
+  ProviderDownError,
+  RateLimitedError,
+  RequestError,
+} from "./errors.mjs";
+
+/**
+ * The request layer shared by every step, for book sources and for Notion.
+ *
+ * Every request times out, and failures are turned into typed errors (see errors.mjs), so callers can check
+ * `instanceof NotFoundError` rather than parsing messages. Requests that could succeed on another try (rate limits,
+ * 5xx responses, timeouts and network errors) are retried with exponential backoff and jitter. When a service sends
+ * a Retry-After header, we wait that long instead.
+ *
+ * Pass `schedule` to run each attempt through a rate limiter, e.g. `(request) => limiter.schedule(request)`.
+ */
+
+/**
+ * How long to wait for a response from a book source, in milliseconds. Notion requests use the Notion client's own
+ * timeout.
+ */
+export const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * How many times to retry a request that can be retried.
+ */
+const DEFAULT_RETRIES = 3;
+
+/**
+ * The delay before the first retry, in milliseconds. It doubles with each retry.
+ */
+const BASE_DELAY = 500;
+
+/**
+ * The longest we'll wait between tries, in milliseconds. If a service asks us to wait longer than this, the
+ * RateLimitedError is thrown instead, so the caller can decide what to do.
+ */
+const MAX_DELAY = 30000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads a Retry-After header (seconds, or an HTTP date) as milliseconds. Returns null if there isn't one.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Reads a header from Axios's plain header object or the Notion client's Headers object.
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+
+  return typeof headers.get === "function" ? headers.get(name) : headers[name];
+}
+
+/**
+ * Returns true for errors thrown because a request got no response: timeouts, DNS failures, refused connections.
+ */
+function isNetworkError(error) {
+  return (
+    error.isAxiosError === true ||
+    error.code === "notionhq_client_request_timeout" ||
+    typeof error.cause?.code === "string"
+  );
+}
+
+/**
+ * Turns an error thrown by Axios or the Notion client into a typed RequestError. Errors that have nothing to do
+ * with the request (e.g. a bug in the calling code) are returned as they are.
+ */
+export function toRequestError(error, { service }) {
+  if (error instanceof RequestError) {
+    return error;
+  }
+
+  // Axios puts the response on the error; the Notion client puts the status on the error itself
+  const status =
+    error.response?.status ?? (typeof error.status === "number" ? error.status : null);
+
+  if (status === null && !isNetworkError(error)) {
+    return error;
+  }
+
+  const message = `${service} request failed (${status ? `status ${status}` : "no response"}): ${error.message}`;
+  const options = { service, status, cause: error };
+
+  if (status === 404) {
+    return new NotFoundError(message, options);
+  }
+
+  if (status === 401 || status === 403) {
+    return new AuthError(message, options);
+  }
+
+  if (status === 429) {
+    return new RateLimitedError(message, {
+      ...options,
+      retryAfter: parseRetryAfter(
+        readHeader(error.response?.headers ?? error.headers, "retry-after")
+      ),
+    });
+  }
+
+  if (status === null || status >= 500) {
+    return new ProviderDownError(message, options);
+  }
+
+  // Notion answers 409 when two requests edit the same thing at once, which is worth another try
+  return new RequestError(message, {
+    ...options,
+    retryable: status === 408 || status === 409,
+  });
+}
+
+/**
+ * Returns how long to wait before the next try: the service's Retry-After if it sent one, or an exponential
+ * backoff with jitter, so parallel requests don't all retry at the same moment.
+ */
+function retryDelay(error, attempt) {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return error.retryAfter;
+  }
+
+  const delay = Math.min(MAX_DELAY, BASE_DELAY * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Runs a request, retrying it while it fails with a retryable error. `task` is called with the attempt number.
+ * Throws a typed RequestError once it gives up.
+ */
+export async function withRetry(task, { service, retries = DEFAULT_RETRIES } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (caught) {
+      const error = toRequestError(caught, { service });
+
+      if (!(error instanceof RequestError) || !error.retryable || attempt > retries) {
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt);
+
+      if (delay > MAX_DELAY) {
+        throw error;
+      }
+
+      console.error(`Retrying in ${Math.round(delay)} ms due to error: ${error.message}`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Returns the hostname of a URL, to name the service in errors.
+ */
+function serviceOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Fetches a URL and returns the response body (parsed JSON, or text for other content types). Any extra options
+ * are passed to Axios.
+ */
+export async function fetchData(
+  url,
+  {
+    service = serviceOf(url),
+    timeout = DEFAULT_TIMEOUT,
+    retries,
+    schedule = (request) => request(),
+    ...config
+  } = {}
+) {
+  const response = await withRetry(
+    async (attempt) => {
+      console.log(`Fetching data from URL: ${url} (Attempt ${attempt})`);
+      return await schedule(() => axios.get(url, { timeout, ...config }));
+    },
+    { service, retries }
+  );
+
+  return response.data;
+}
+
+/**
+ * Downloads an image. Returns { data, contentType }, where `data` is a Buffer. Images are only retried once, since
+ * there's usually another cover candidate to try.
+ */
+export async function fetchImage(
+  url,
+  {
+    service = serviceOf(url),
+    timeout = DEFAULT_TIMEOUT,
+    retries = 1,
+    schedule = (request) => request(),
+  } = {}
+) {
+  const response = await withRetry(
+    async () =>
+      await schedule(() =>
+        axios.get(url, {
+          responseType: "arraybuffer",
+          timeout,
+          validateStatus: (status) => status === 200,
+        })
+      ),
+    { service, retries }
+  );
+
+  return {
+    data: Buffer.from(response.data),
+    contentType: response.headers["content-type"],
+  };
+}
+
+/**
+ * Sends a Notion API request, e.g. `() => notion.pages.create(data)`. `label` describes it in the logs.
+ */
+export async function callNotion(
+  request,
+  { label = "Sending request to Notion", retries, schedule = (request) => request() } = {}
+) {
+  return await withRetry(
+    async (attempt) => {
+      console.log(`${label} (Attempt ${attempt})`);
+      return await schedule(request);
+    },
+    { service: "Notion", retries }
+  );
+}
@@ -0,0 +1,281 @@
+import { readCSV, writeCSV } from "./csv.mjs";
+import { htmlToPlainText } from "./html.mjs";
+import { normalizeISBN } from "./isbn.mjs";
+import { BOOK_FORMATS } from "./payload.mjs";
+
+/**
+ * Parsing of reading-history exports from Goodreads and StoryGraph.
+ *
+ * Both exports are CSV files with one row per book. Rows are turned into entries with the same shape, whatever the
+ * source:
+ *
+ * { row, title, author, isbn, status, shelves, rating, date_read, review, read_count, format, record }
+ *
+ * `row` is the row's number in the file (the header is row 1), so unmatched rows can be found again. `isbn` is a
+ * normalized ISBN-13, or "" if the row has no valid ISBN. `status` is "to-read", "currently-reading", "read" or
+ * "did-not-finish". `record` is the row as it was in the file.
+ */
+
+/**
+ * The supported export formats, recognized by columns only they have.
+ */
+export const IMPORT_FORMATS = {
+  goodreads: {
+    label: "Goodreads",
+    columns: ["Book Id", "Exclusive Shelf"],
+  },
+  storygraph: {
+    label: "StoryGraph",
+    columns: ["ISBN/UID", "Read Status"],
+  },
+};
+
+/**
+ * Returns the ID of the export format a set of columns belongs to, or null.
+ */
+export function detectImportFormat(columns) {
+  return (
+    Object.keys(IMPORT_FORMATS).find((format) =>
+      IMPORT_FORMATS[format].columns.every((column) => columns.includes(column))
+    ) ?? null
+  );
+}
+
+/**
+ * Goodreads wraps ISBNs in a spreadsheet formula (="9780547928227") so spreadsheet apps keep the leading zeros, and
+ * writes ="" for books without one. Returns the bare value.
+ */
+export function unwrapSpreadsheetValue(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/^="(.*)"$/, "$1")
+    .trim();
+}
+
+/**
+ * Returns the first value that's a valid ISBN, normalized to ISBN-13, or "". StoryGraph uses its own IDs in place of
+ * an ISBN for some books, so anything that isn't an ISBN is ignored.
+ */
+function firstValidISBN(...values) {
+  for (const value of values) {
+    const isbn = unwrapSpreadsheetValue(value);
+
+    if (isbn === "") {
+      continue;
+    }
+
+    try {
+      return normalizeISBN(isbn).isbn_13;
+    } catch (error) {
+      continue;
+    }
+  }
+
+  return "";
+}
+
+/**
+ * Turns an export date ("2023/05/07", or StoryGraph's "2023/01/05-2023/02/10" ranges) into an ISO date. Ranges
+ * give their last date. Returns "" if there isn't one.
+ */
+function toISODate(value) {
+  const dates = String(value ?? "").match(/\d{4}[/-]\d{1,2}[/-]\d{1,2}/g);
+
+  if (!dates) {
+    return "";
+  }
+
+  const [year, month, day] = dates[dates.length - 1].split(/[/-]/);
+  return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+}
+
+/**
+ * Turns a rating cell into a number. Goodreads writes 0 for unrated books, so 0 counts as no rating.
+ */
+function toRating(value) {
+  const rating = parseFloat(value);
+  return Number.isFinite(rating) && rating > 0 ? rating : null;
+}
+
+/**
+ * Maps an export's binding or format ("Kindle Edition", "Mass Market Paperback", "digital") to one of the payload's
+ * book formats. Returns "" if there's no clear match.
+ */
+function toBookFormat(value) {
+  const text = String(value ?? "").toLowerCase();
+
+  if (/kindle|ebook|e-book|digital|nook/.test(text)) {
+    return BOOK_FORMATS.ebook;
+  }
+
+  if (/audio/.test(text)) {
+    return BOOK_FORMATS.audio;
+  }
+
+  if (/hard/.test(text)) {
+    return BOOK_FORMATS.hardcover;
+  }
+
+  if (/paper|soft/.test(text)) {
+    return BOOK_FORMATS.paperback;
+  }
+
+  return "";
+}
+
+/**
+ * Splits a comma-separated list cell into trimmed values.
+ */
+function toList(value) {
+  return String(value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turns a Goodreads row into an entry.
+ */
+function fromGoodreads(record) {
+  const status = record["Exclusive Shelf"]?.trim() || "to-read";
+
+  return {
+    // Goodreads adds the series to the title ("The Hobbit (The Hobbit, #0)"), which throws off title searches
+    title: (record["Title"] ?? "").replace(/\s*\([^()]*#[^()]*\)\s*$/, "").trim(),
+    author: record["Author"]?.trim() ?? "",
+    isbn: firstValidISBN(record["ISBN13"], record["ISBN"]),
+    status,
+    // "Bookshelves" repeats the exclusive shelf, which is already the status
+    shelves: toList(record["Bookshelves"]).filter((shelf) => shelf !== status),
+    rating: toRating(record["My Rating"]),
+    date_read: toISODate(record["Date Read"]),
+    // Reviews can hold <br/> tags and other HTML
+    review: htmlToPlainText(record["My Review"] ?? ""),
+    read_count: parseInt(record["Read Count"]) || 0,
+    format: toBookFormat(record["Binding"]),
+  };
+}
+
+/**
+ * Turns a StoryGraph row into an entry.
+ */
+function fromStoryGraph(record) {
+  return {
+    title: record["Title"]?.trim() ?? "",
+    // StoryGraph lists every author in one cell; the first is enough to search by
+    author: toList(record["Authors"])[0] ?? "",
+    isbn: firstValidISBN(record["ISBN/UID"]),
+    status: record["Read Status"]?.trim() || "to-read",
+    shelves: toList(record["Tags"]),
+    rating: toRating(record["Star Rating"]),
+    date_read: toISODate(record["Last Date Read"] || record["Dates Read"]),
+    review: htmlToPlainText(record["Review"] ?? ""),
+    read_count: parseInt(record["Read Count"]) || 0,
+    format: toBookFormat(record["Format"]),
+  };
+}
+
+/**
+ * Parses a Goodreads or StoryGraph CSV export. Returns { format, columns, entries }, and throws if the file isn't
+ * one of the supported formats.
+ */
+export function parseReadingHistory(csv) {
+  const { columns, records } = readCSV(csv);
+  const format = detectImportFormat(columns);
+
+  if (!format) {
+    throw new Error(
+      `This doesn't look like a Goodreads or StoryGraph export. Found columns: ${columns.join(", ") || "none"}.`
+    );
+  }
+
+  const convert = format === "goodreads" ? fromGoodreads : fromStoryGraph;
+
+  return {
+    format,
+    columns,
+    entries: records.map((record, index) => ({
+      row: index + 2,
+      ...convert(record),
+      record,
+    })),
+  };
+}
+
+/**
+ * Returns the index of the reading stage an export status maps to, given the number of stages: to-read is the first
+ * stage, currently-reading the second and read the last. Returns null for statuses with no stage (e.g.
+ * did-not-finish).
+ */
+export function statusToStageIndex(status, stageCount) {
+  const last = stageCount - 1;
+
+  switch (status) {
+    case "to-read":
+      return 0;
+    case "currently-reading":
+      return Math.min(1, last);
+    case "read":
+      return last;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Writes entries back out as CSV, using the export's original columns and values, so unmatched rows can be fixed
+ * by hand and imported again.
+ */
+export function entriesToCSV(columns, entries) {
+  return writeCSV(
+    columns,
+    entries.map((entry) => columns.map((column) => entry.record[column]))
+  );
+}
+
+/**
+ * Picks the user's own data out of an entry, as the same fields the trigger payload carries (see payload.mjs), so
+ * they're mapped to properties the same way.
+ */
+export function getImportedFields(entry) {
+  return Object.fromEntries(
+    Object.entries({
+      tags: entry.shelves.length > 0 ? entry.shelves : undefined,
+      rating: entry.rating ?? undefined,
+      notes: entry.review || undefined,
+      format: entry.format || undefined,
+    }).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Builds the reading property values for an imported entry: its reading stage, its Finished date and its re-read
+ * count. `mapping` and `schema` are the same as for buildReadingTransition() (see reading.mjs).
+ *
+ * Properties that aren't mapped, and values the entry doesn't have, are left out.
+ */
+export function buildImportedReadingProperties(
+  entry,
+  { schema, mapping, stages }
+) {
+  const properties = {};
+  const statusProperty = mapping.reading_status;
+  const stageIndex = statusToStageIndex(entry.status, stages.length);
+
+  if (statusProperty && schema[statusProperty] && stageIndex !== null) {
+    properties[statusProperty] = {
+      [schema[statusProperty].type]: { name: stages[stageIndex] },
+    };
+  }
+
+  if (entry.date_read && mapping.finished_date && schema[mapping.finished_date]) {
+    properties[mapping.finished_date] = { date: { start: entry.date_read } };
+  }
+
+  // The read count includes the first read
+  if (entry.read_count > 1 && mapping.reread_count && schema[mapping.reread_count]) {
+    properties[mapping.reread_count] = { number: entry.read_count - 1 };
+  }
+
+  return properties;
+}
@@ -0,0 +1,137 @@
+import { InvalidISBNError } from "./errors.mjs";
+
+/**
+ * Helpers for validating and normalizing ISBN numbers.
+ *
+ * Barcode scanners hand us all sorts of input: hyphenated numbers, ISBN-10s ending in "X", and the EAN-5 price
+ * add-on printed next to the main barcode (e.g. "9781517004446 51299"). Everything is reduced to a checked
+ * ISBN-13 string, plus the ISBN-10 form when one exists.
+ */
+
+/**
+ * Strips everything that isn't part of the ISBN itself: an "ISBN" label, hyphens, spaces, and any EAN-2 or EAN-5
+ * add-on appended to an ISBN-13.
+ */
+export function cleanISBN(input) {
+  let value = String(input ?? "")
+    .toUpperCase()
+    .replace(/^\s*ISBN(?:-1[03])?:?/, "")
+    .replace(/[\s-]/g, "");
+
+  // An ISBN-13 followed by a 2- or 5-digit add-on comes through as one 15- or 18-digit string.
+  if (/^97[89]\d{10}(\d{2}|\d{5})$/.test(value)) {
+    value = value.substring(0, 13);
+  }
+
+  return value;
+}
+
+/**
+ * Calculates the ISBN-10 check character for the first 9 digits.
+ */
+function isbn10CheckDigit(digits) {
+  const sum = digits
+    .substring(0, 9)
+    .split("")
+    .reduce((acc, digit, index) => acc + parseInt(digit) * (10 - index), 0);
+
+  const check = (11 - (sum % 11)) % 11;
+
+  return check === 10 ? "X" : String(check);
+}
+
+/**
+ * Calculates the ISBN-13 check digit for the first 12 digits.
+ */
+function isbn13CheckDigit(digits) {
+  const sum = digits
+    .substring(0, 12)
+    .split("")
+    .reduce(
+      (acc, digit, index) => acc + parseInt(digit) * (index % 2 === 0 ? 1 : 3),
+      0
+    );
+
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Returns true if the value is a 10-character ISBN with a valid check character.
+ */
+export function isValidISBN10(value) {
+  return /^\d{9}[\dX]$/.test(value) && isbn10CheckDigit(value) === value[9];
+}
+
+/**
+ * Returns true if the value is a 13-digit ISBN (978/979 prefix) with a valid check digit.
+ */
+export function isValidISBN13(value) {
+  return /^97[89]\d{10}$/.test(value) && isbn13CheckDigit(value) === value[12];
+}
+
+/**
+ * Converts a valid ISBN-10 into its ISBN-13 form.
+ */
+export function isbn10To13(isbn10) {
+  const base = `978${isbn10.substring(0, 9)}`;
+  return `${base}${isbn13CheckDigit(base)}`;
+}
+
+/**
+ * Converts a valid ISBN-13 into its ISBN-10 form. Only 978-prefixed numbers have one, so this returns null for 979.
+ */
+export function isbn13To10(isbn13) {
+  if (!isbn13.startsWith("978")) {
+    return null;
+  }
+
+  const base = isbn13.substring(3, 12);
+  return `${base}${isbn10CheckDigit(base)}`;
+}
+
+/**
+ * Validates and normalizes raw scanner input.
+ *
+ * Returns an object with the ISBN-13 string and the ISBN-10 string (or null). Throws an InvalidISBNError if the
+ * input isn't a valid ISBN.
+ */
+export function normalizeISBN(input) {
+  if (input === undefined || input === null || String(input).trim() === "") {
+    throw new InvalidISBNError(`No ISBN number was provided.`, { input });
+  }
+
+  const value = cleanISBN(input);
+
+  if (value.length === 13) {
+    if (!isValidISBN13(value)) {
+      throw new InvalidISBNError(
+        `"${input}" is not a valid ISBN-13 number (check digit mismatch or wrong prefix).`,
+        { input }
+      );
+    }
+
+    return {
+      isbn_13: value,
+      isbn_10: isbn13To10(value),
+    };
+  }
+
+  if (value.length === 10) {
+    if (!isValidISBN10(value)) {
+      throw new InvalidISBNError(
+        `"${input}" is not a valid ISBN-10 number (check digit mismatch).`,
+        { input }
+      );
+    }
+
+    return {
+      isbn_13: isbn10To13(value),
+      isbn_10: value,
+    };
+  }
+
+  throw new InvalidISBNError(
+    `"${input}" is not an ISBN number. Expected 10 or 13 digits, got ${value.length}.`,
+    { input }
+  );
+}
@@ -0,0 +1,101 @@
+/**
+ * Field-level merging of book data from several providers.
+ *
+ * Each field is filled from the first provider that has a value for it. By default providers are tried in the
+ * user's order, but some fields have their own priority.
+ */
+
+/**
+ * Per-field provider priority. Providers listed here are tried first, in this order, followed by any remaining
+ * providers in the user's order. An empty list means the user's order.
+ */
+export const FIELD_PRIORITY = {
+  title: [],
+  author: [],
+  authors: [],
+  page_count: [],
+  publisher: [],
+  publish_date: [],
+  publish_year: [],
+  // Only Open Library (live or from its dump) tracks works, so it's the only source of the original publish year
+  first_publish_year: ["open_library", "open_library_dump"],
+  // Open Library and the Library of Congress use curated subject headings; Google's categories are much coarser
+  subjects: ["open_library", "open_library_dump", "library_of_congress"],
+  // Google Books has no series names, so prefer the sources with real series statements
+  series_name: ["open_library", "open_library_dump", "library_of_congress"],
+  series_number: ["open_library", "open_library_dump", "library_of_congress"],
+  // Google Books descriptions are the publisher's blurb, which tends to be the most complete
+  description: ["google_books"],
+};
+
+/**
+ * Fields that describe a specific edition. A provider that matched the scanned ISBN exactly always beats one that
+ * only matched another edition of the same work, whatever the priority.
+ */
+const EDITION_FIELDS = ["page_count", "publisher", "publish_date", "publish_year"];
+
+/**
+ * Fields that describe the provider's record rather than the book, so they're never merged.
+ */
+const UNMERGED_FIELDS = ["full_record"];
+
+/**
+ * Returns true if a normalized field value is missing.
+ */
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (typeof value === "number" && isNaN(value)) ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Orders the candidates for a single field.
+ */
+function orderForField(field, candidates) {
+  const priority = FIELD_PRIORITY[field] ?? [];
+
+  const rank = (candidate) => {
+    const index = priority.indexOf(candidate.provider);
+    const position = index === -1 ? priority.length : index;
+
+    return EDITION_FIELDS.includes(field) && !candidate.exact
+      ? position + priority.length + 1
+      : position;
+  };
+
+  // Array.prototype.sort is stable, so candidates with the same rank keep the user's order.
+  return [...candidates].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Merges normalized records into one set of fields.
+ *
+ * `candidates` is a list of { provider, exact, fields }, in the user's provider order. `exact` is true when the
+ * provider matched the scanned ISBN rather than another edition. Returns { fields, sources }, where
+ * sources maps each filled field to the ID of the provider that supplied it.
+ */
+export function mergeFields(candidates) {
+  const fieldNames = [
+    ...new Set(candidates.flatMap((candidate) => Object.keys(candidate.fields))),
+  ].filter((field) => !UNMERGED_FIELDS.includes(field));
+
+  const fields = {};
+  const sources = {};
+
+  for (const field of fieldNames) {
+    const winner = orderForField(field, candidates).find(
+      (candidate) => !isBlank(candidate.fields[field])
+    );
+
+    if (winner) {
+      fields[field] = winner.fields[field];
+      sources[field] = winner.provider;
+    }
+  }
+
+  return { fields, sources };
+}
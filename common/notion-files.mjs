@@ -0,0 +1,70 @@
+import { callNotion } from "./http.mjs";
+
+/**
+ * Helpers for uploading files to Notion with the File Upload API: https://developers.notion.com/docs/uploading-small-files
+ *
+ * Uploaded files live in Notion's own storage, so page covers stay valid even if the original URL changes or
+ * disappears.
+ */
+
+/**
+ * Uploads an image to Notion and returns the file upload ID, which can be attached to a page cover or a Files &
+ * Media property.
+ */
+export async function uploadImage(notion, { data, contentType, filename }) {
+  const upload = await callNotion(
+    () =>
+      notion.fileUploads.create({
+        mode: "single_part",
+        filename,
+        content_type: contentType,
+      }),
+    { label: "Creating a file upload in Notion" }
+  );
+
+  await callNotion(
+    () =>
+      notion.fileUploads.send({
+        file_upload_id: upload.id,
+        file: {
+          filename,
+          data: new Blob([data], { type: contentType }),
+        },
+      }),
+    { label: "Sending the file to Notion" }
+  );
+
+  return upload.id;
+}
+
+/**
+ * Points a pages.create payload's cover (and the mapped Files & Media property, if there is one) at an uploaded
+ * file instead of the external URL.
+ */
+export function applyCoverUpload(data, fileUploadID, coverProperty) {
+  const file = {
+    type: "file_upload",
+    file_upload: {
+      id: fileUploadID,
+    },
+  };
+
+  return {
+    ...data,
+    cover: file,
+    properties: {
+      ...data.properties,
+      ...(coverProperty &&
+        data.properties[coverProperty]?.files && {
+          [coverProperty]: {
+            files: [
+              {
+                name: "Cover Image",
+                ...file,
+              },
+            ],
+          },
+        }),
+    },
+  };
+}
@@ -0,0 +1,422 @@
+import { htmlToPlainText } from "./html.mjs";
+import { getPlainText } from "./duplicates.mjs";
+
+/**
+ * Helpers for writing book fields to Notion database properties.
+ *
+ * Notion's page API needs a different value shape for every property type. buildPropertyValue() takes a plain
+ * value (string, number, array) and wraps it in the shape the target property type requires, and
+ * readPropertyValue() does the reverse.
+ */
+
+/**
+ * Property types that book fields can be mapped to.
+ */
+export const ALLOWED_PROPERTY_TYPES = [
+  "title",
+  "rich_text",
+  "number",
+  "files",
+  "date",
+  "url",
+  "select",
+  "multi_select",
+  "checkbox",
+];
+
+/**
+ * Notion rejects rich text objects longer than this.
+ */
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Notion rejects select option names longer than this.
+ */
+const MAX_OPTION_LENGTH = 100;
+
+/**
+ * Book fields that can be mapped to database properties, in the order they're shown in the step's props.
+ *
+ * `format` optionally turns the book record's value into something fit for a property (e.g. stripping HTML).
+ * `fileName` is the name given to the file when the field is written to a Files & Media property.
+ */
+export const BOOK_FIELDS = {
+  title: {
+    label: "Book Title",
+    description: "The title of the book.",
+    optional: false,
+  },
+  author: {
+    label: "Author",
+    description: "The author of the book.",
+  },
+  publish_year: {
+    label: "Publish Year",
+    description: "The publish year of this edition of the book.",
+  },
+  first_publish_year: {
+    label: "First Publish Year",
+    description: "The year the book (the work, not this edition) was first published.",
+  },
+  page_count: {
+    label: "Page Count",
+    description: "The page count of the book.",
+  },
+  isbn_13: {
+    label: "ISBN-13 Number",
+    description: "The ISBN-13 number of the book.",
+  },
+  isbn_10: {
+    label: "ISBN-10 Number",
+    description: "The ISBN-10 number of the book. Select a text property, since ISBN-10s can end in an \"X\". Books with a 979 prefix don't have an ISBN-10.",
+  },
+  cover_image: {
+    label: "Book Cover Image",
+    description: "The file path to the book's cover image. You can select a Files & Media property here if you want to fill it with the book's cover image URL, which will also be set as the page's cover image.",
+    fileName: "Cover Image",
+  },
+  series_name: {
+    label: "Series",
+    description: "The name of the series the book belongs to. Works best with a Text or Select property. To link to a Series database instead, use the Series Database setting.",
+  },
+  series_number: {
+    label: "Series Number",
+    description: "The book's position in its series. Works best with a Number property.",
+  },
+  publisher: {
+    label: "Publisher",
+    description: "The publisher of this edition. Works best with a Text or Select property.",
+  },
+  publish_date: {
+    label: "Publish Date",
+    description: "The date this edition was published. Works best with a Date property. If the source only has a year or month, the first day of it is used.",
+  },
+  language: {
+    label: "Language",
+    description: "The language the book is written in. Works best with a Select property.",
+  },
+  categories: {
+    label: "Categories",
+    description: "The book's categories from Google Books. Works best with a Multi-select property.",
+  },
+  description: {
+    label: "Description",
+    description: "The book's description. Works best with a Text property. Formatting is removed.",
+    format: htmlToPlainText,
+  },
+  info_link: {
+    label: "Info Link",
+    description: "A link to the book's page in the source it was found in. Works best with a URL property.",
+  },
+  google_books_id: {
+    label: "Google Books ID",
+    description: "The book's Google Books volume ID. Works best with a Text property.",
+  },
+  open_library_id: {
+    label: "Open Library ID",
+    description: "The book's Open Library edition or work key. Works best with a Text property.",
+  },
+  tags: {
+    label: "Tags",
+    description: "The tags sent with the scan. Works best with a Multi-select property.",
+  },
+  shelf: {
+    label: "Shelf",
+    description: "Where the book is kept, as sent with the scan. Works best with a Select property.",
+  },
+  owner: {
+    label: "Owner",
+    description: "Who owns this copy, as sent with the scan. Works best with a Text or Select property.",
+  },
+  format: {
+    label: "Format",
+    description: "The format of this copy (Hardcover, Paperback, Ebook or Audiobook), as sent with the scan. Works best with a Select property.",
+  },
+  rating: {
+    label: "Rating",
+    description: "Your rating from 0 to 5, as sent with the scan. Works best with a Number property.",
+  },
+  notes: {
+    label: "Notes",
+    description: "The notes sent with the scan. Works best with a Text property.",
+  },
+  scanned_at: {
+    label: "Scanned At",
+    description: "When the book was scanned, as sent with the scan. Works best with a Date property.",
+  },
+};
+
+/**
+ * Builds the step props for mapping each book field to a database property.
+ */
+export function buildFieldProps(allowedProperties) {
+  return Object.fromEntries(
+    Object.entries(BOOK_FIELDS).map(([key, field]) => [
+      key,
+      {
+        type: "string",
+        label: field.label,
+        description: field.description,
+        optional: field.optional ?? true,
+        options: allowedProperties.map((prop) => ({
+          label: prop,
+          value: prop,
+        })),
+      },
+    ])
+  );
+}
+
+/**
+ * Reads the user's field-to-property mapping off a step's props.
+ */
+export function getFieldMapping(props) {
+  return Object.fromEntries(
+    Object.keys(BOOK_FIELDS)
+      .filter((key) => props[key])
+      .map((key) => [key, props[key]])
+  );
+}
+
+/**
+ * Splits text into rich text objects that each fit under Notion's length limit.
+ */
+export function toRichText(text) {
+  const chunks = [];
+
+  for (let i = 0; i < text.length; i += MAX_TEXT_LENGTH) {
+    chunks.push({
+      text: {
+        content: text.substring(i, i + MAX_TEXT_LENGTH),
+      },
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Turns a value into select option names. Notion doesn't allow commas in option names.
+ */
+function toOptionNames(value) {
+  const values = Array.isArray(value) ? value : String(value).split(/\s*,\s*/);
+
+  return [
+    ...new Set(
+      values
+        .map((name) =>
+          String(name).replace(/,/g, "").trim().substring(0, MAX_OPTION_LENGTH)
+        )
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Pads a partial ISO date ("2019" or "2019-05") to a full date, since Notion date properties need a day. Full
+ * date-times ("2024-05-07T14:30:00Z") are kept as they are.
+ */
+function toFullDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(String(value))) {
+    return String(value);
+  }
+
+  const match = String(value).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month = "01", day = "01"] = match;
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Reads a value as a checkbox. Only true, 1, and the strings "true", "yes" and "1" (in any case) check it, so text
+ * like "false", "0" or "no" leaves it unchecked.
+ */
+function toCheckbox(value) {
+  if (typeof value === "string") {
+    return ["true", "yes", "1"].includes(value.trim().toLowerCase());
+  }
+
+  return value === true || value === 1;
+}
+
+/**
+ * Wraps a value in the shape a property of the given type requires. Returns null if the value can't be written to
+ * that type.
+ */
+export function buildPropertyValue(type, value, { fileName } = {}) {
+  const text = Array.isArray(value) ? value.join(", ") : String(value);
+
+  switch (type) {
+    case "title":
+    case "rich_text":
+      return { [type]: toRichText(text) };
+    case "number": {
+      // Accept numbers and numeric text ("320", "1,024"), but not text that merely contains a number
+      if (typeof value !== "number" && !/^\s*-?[\d,]*\.?\d+\s*$/.test(text)) {
+        return null;
+      }
+
+      const number = typeof value === "number" ? value : Number(text.replace(/,/g, ""));
+      return Number.isFinite(number) ? { number } : null;
+    }
+    case "date": {
+      const start = toFullDate(text);
+      return start ? { date: { start } } : null;
+    }
+    case "url":
+      return /^https?:\/\//.test(text) ? { url: text } : null;
+    case "select": {
+      // A select holds a single option, so commas are part of the name here (e.g. "Little, Brown")
+      const [name] = toOptionNames(Array.isArray(value) ? value.slice(0, 1) : [text]);
+      return name ? { select: { name } } : null;
+    }
+    case "multi_select": {
+      const names = toOptionNames(value);
+      return names.length > 0
+        ? { multi_select: names.map((name) => ({ name })) }
+        : null;
+    }
+    case "checkbox":
+      return { checkbox: toCheckbox(value) };
+    case "files":
+      return /^https?:\/\//.test(text)
+        ? {
+            files: [
+              {
+                name: (fileName ?? text).substring(0, MAX_OPTION_LENGTH),
+                external: {
+                  url: text,
+                },
+              },
+            ],
+          }
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns true if a book field has no value to write.
+ */
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (typeof value === "number" && isNaN(value)) ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Builds the page properties for a book.
+ *
+ * Each mapped field is converted to the type of its target property, as read from the database schema: numbers
+ * become text for text properties, numeric text becomes a number, lists become multi-select options, and so on.
+ * Fields that can't be converted, or that point at a property the database doesn't have, are skipped with a
+ * warning instead of failing the whole page.
+ *
+ * `mapping` maps field keys to property names. Returns { properties, warnings }.
+ */
+export function buildBookProperties(schema, mapping, book) {
+  const properties = {};
+  const warnings = [];
+
+  const warn = (message) => {
+    console.warn(message);
+    warnings.push(message);
+  };
+
+  for (const [key, field] of Object.entries(BOOK_FIELDS)) {
+    const propertyName = mapping[key];
+    const rawValue = book[key];
+
+    if (!propertyName) {
+      continue;
+    }
+
+    const property = schema[propertyName];
+
+    // A mapping to a property that's been renamed or deleted is worth knowing about even when there's no value
+    if (!property) {
+      warn(
+        `${field.label} is mapped to the "${propertyName}" property, which doesn't exist in the database. Skipping it.`
+      );
+      continue;
+    }
+
+    if (isBlank(rawValue)) {
+      continue;
+    }
+
+    if (properties[propertyName]) {
+      warn(
+        `${field.label} is mapped to the "${propertyName}" property, which another field already set. Skipping it.`
+      );
+      continue;
+    }
+
+    const value = field.format ? field.format(rawValue) : rawValue;
+    const propertyValue = buildPropertyValue(property.type, value, {
+      fileName: field.fileName,
+    });
+
+    if (propertyValue) {
+      properties[propertyName] = propertyValue;
+    } else {
+      warn(
+        `Couldn't convert ${field.label} (${JSON.stringify(value).substring(0, 100)}) to the "${propertyName}" property's type (${property.type}). Skipping it.`
+      );
+    }
+  }
+
+  return { properties, warnings };
+}
+
+/**
+ * Reads a property value back into a plain value: text, a number, a list of option names, an ISO date, and so on.
+ * Returns null for blank values and types that have no plain value.
+ *
+ * Works on values read from a page and on values built for a request, as long as `type` is set on the latter.
+ */
+export function readPropertyValue(propertyValue) {
+  if (!propertyValue) {
+    return null;
+  }
+
+  const value = propertyValue[propertyValue.type];
+
+  switch (propertyValue.type) {
+    case "title":
+    case "rich_text":
+      return getPlainText(propertyValue) || null;
+    case "number":
+    case "url":
+    case "email":
+    case "phone_number":
+    case "checkbox":
+    case "created_time":
+    case "last_edited_time":
+      return value ?? null;
+    case "select":
+    case "status":
+      return value?.name ?? null;
+    case "multi_select":
+      return value.map((option) => option.name);
+    case "date":
+      return value?.start ?? null;
+    case "files":
+      return value[0]?.external?.url ?? value[0]?.file?.url ?? null;
+    case "relation":
+      return value.map((page) => page.id);
+    case "formula":
+      return value?.[value.type] ?? null;
+    default:
+      return null;
+  }
+}
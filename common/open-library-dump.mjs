@@ -0,0 +1,360 @@
+import { createReadStream, existsSync, promises as fs } from "fs";
+import { createInterface } from "readline";
+import { createGunzip } from "zlib";
+import { cleanISBN, isValidISBN10, isValidISBN13, isbn10To13, isbn13To10 } from "./isbn.mjs";
+import { BookScannerError } from "./errors.mjs";
+
+/**
+ * A local copy of Open Library's data dumps (https://openlibrary.org/developers/dumps), so books can be looked up
+ * without calling the live API.
+ *
+ * buildDumpDatabase() reads the editions, works and authors dump files and writes them to a SQLite database, with
+ * every edition indexed by its ISBN-10s and ISBN-13s. Only editions with an ISBN are kept. The open_library_dump
+ * provider (see providers/open-library-dump.mjs) reads it with the helpers below.
+ *
+ * Each dump line is tab-separated: type, key, revision, last modified, and the record as JSON.
+ */
+
+/**
+ * The props for pointing a step at a dump database, shared by every step that looks books up.
+ */
+export const DUMP_PROPS = {
+  open_library_dump: {
+    type: "string",
+    label: "Open Library Dump Database",
+    description: "Optionally, the path to a SQLite database built from Open Library's data dumps with the Build_Open_Library_Index step. Can also be set with the OPEN_LIBRARY_DUMP environment variable. Add **Open Library (Local Dump)** to Book Data Sources to use it. Pipedream clears `/tmp` between executions, so a database there can disappear; if it's missing, the source is skipped and the others are used.",
+    optional: true,
+  },
+};
+
+/**
+ * How many dump lines are written per transaction while building.
+ */
+const BATCH_SIZE = 10000;
+
+/**
+ * How many related ISBNs are returned for a work, matching the live provider's editions request.
+ */
+const MAX_RELATED_ISBNS = 50;
+
+/**
+ * The work fields the provider reads. Everything else is dropped while building, to keep the database small.
+ */
+const WORK_FIELDS = [
+  "key",
+  "title",
+  "authors",
+  "first_publish_date",
+  "subjects",
+  "series",
+  "description",
+];
+
+const SCHEMA = `
+  CREATE TABLE editions (key TEXT PRIMARY KEY, work_key TEXT, data TEXT NOT NULL);
+  CREATE TABLE isbns (isbn TEXT NOT NULL, edition_key TEXT NOT NULL, PRIMARY KEY (isbn, edition_key)) WITHOUT ROWID;
+  CREATE TABLE works (key TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE authors (key TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE meta (name TEXT PRIMARY KEY, value TEXT);
+`;
+
+/**
+ * Open databases, keyed by path, so a batch opens each one once.
+ */
+const databases = new Map();
+
+/**
+ * Warns when a dump database is in /tmp. Pipedream clears /tmp between executions, so a database there only lasts
+ * while the workflow stays warm.
+ */
+function warnIfTemporary(path) {
+  if (path.startsWith("/tmp/")) {
+    console.warn(
+      `The Open Library dump database ${path} is in /tmp, which Pipedream clears between executions. Rebuild it, or keep it somewhere that lasts, if it goes missing.`
+    );
+  }
+}
+
+/**
+ * Reads the dump database path off a step's props, falling back to the OPEN_LIBRARY_DUMP environment variable.
+ * Returns null if neither is set.
+ */
+export function resolveDumpPath(props = {}, env = process.env) {
+  return props.open_library_dump || env.OPEN_LIBRARY_DUMP || null;
+}
+
+/**
+ * Loads better-sqlite3, which keeps the dump in an indexed SQLite database: https://github.com/WiseLibs/better-sqlite3
+ *
+ * It's a native module that doesn't build everywhere (Pipedream included), so it's only loaded once a dump database
+ * is actually used. Steps that never touch the dump don't need it installed.
+ */
+async function loadSQLite() {
+  const { default: Database } = await import("better-sqlite3");
+  return Database;
+}
+
+/**
+ * Opens a dump database for reading. Throws a BookScannerError with the code DUMP_UNAVAILABLE if it doesn't exist,
+ * isn't one, or better-sqlite3 isn't installed, which the provider registry treats like a source that's down (see
+ * providers/index.mjs).
+ */
+export async function openDumpDatabase(path) {
+  if (databases.has(path)) {
+    return databases.get(path);
+  }
+
+  warnIfTemporary(path);
+
+  let database;
+
+  try {
+    const Database = await loadSQLite();
+    database = new Database(path, { readonly: true, fileMustExist: true });
+    database.prepare("SELECT 1 FROM isbns LIMIT 1").get();
+  } catch (error) {
+    database?.close();
+
+    throw new BookScannerError(
+      `Couldn't open the Open Library dump database at ${path}: ${error.message}`,
+      { code: "DUMP_UNAVAILABLE", cause: error }
+    );
+  }
+
+  databases.set(path, database);
+  return database;
+}
+
+/**
+ * Returns the edition records filed under an ISBN-13 or its ISBN-10.
+ */
+export function findEditionsByISBN(database, isbn13) {
+  return database
+    .prepare(
+      `SELECT editions.data FROM isbns
+       JOIN editions ON editions.key = isbns.edition_key
+       WHERE isbns.isbn IN (?, ?)`
+    )
+    .all(isbn13, isbn13To10(isbn13))
+    .map((row) => JSON.parse(row.data));
+}
+
+/**
+ * Returns a work or author record by key, or null if the dump doesn't have it.
+ */
+export function getDumpRecord(database, type, key) {
+  const table = { work: "works", author: "authors" }[type];
+
+  if (!table) {
+    throw new Error(`Unknown dump record type "${type}".`);
+  }
+
+  const row = database.prepare(`SELECT data FROM ${table} WHERE key = ?`).get(key);
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Returns the ISBN-13s of a work's other editions.
+ */
+export function findWorkISBNs(database, workKey, editionKey) {
+  const numbers = database
+    .prepare(
+      `SELECT isbns.isbn FROM editions
+       JOIN isbns ON isbns.edition_key = editions.key
+       WHERE editions.work_key = ? AND editions.key != ?`
+    )
+    .all(workKey, editionKey)
+    .map(({ isbn }) => (isbn.length === 10 ? isbn10To13(isbn) : isbn));
+
+  return [...new Set(numbers)].slice(0, MAX_RELATED_ISBNS);
+}
+
+/**
+ * Returns the valid ISBN-10s and ISBN-13s an edition lists, cleaned.
+ */
+function editionISBNs(edition) {
+  const numbers = [...(edition.isbn_13 ?? []), ...(edition.isbn_10 ?? [])]
+    .map((value) => cleanISBN(String(value)))
+    .filter((value) => isValidISBN13(value) || isValidISBN10(value));
+
+  return [...new Set(numbers)];
+}
+
+/**
+ * Reads a dump file line by line, gunzipping it if its name ends in .gz. Yields { type, key, record }, skipping
+ * lines that can't be parsed.
+ */
+async function* readDumpFile(path) {
+  const stream = createReadStream(path);
+  const input = path.endsWith(".gz") ? stream.pipe(createGunzip()) : stream;
+
+  for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+    const columns = line.split("\t");
+
+    if (columns.length < 5) {
+      continue;
+    }
+
+    let record;
+
+    try {
+      record = JSON.parse(columns.slice(4).join("\t"));
+    } catch (error) {
+      console.log(`Skipping a dump line that isn't valid JSON: ${columns[1]}`);
+      continue;
+    }
+
+    yield { type: columns[0], key: columns[1], record };
+  }
+}
+
+/**
+ * Writes every record of one type from a dump file, BATCH_SIZE lines per transaction. `write(record)` returns true
+ * if the record was kept. Returns how many were.
+ */
+async function loadDumpFile(database, path, type, write) {
+  const insertBatch = database.transaction((records) =>
+    records.filter((record) => write(record)).length
+  );
+
+  let batch = [];
+  let count = 0;
+
+  for await (const line of readDumpFile(path)) {
+    if (line.type !== type) {
+      continue;
+    }
+
+    batch.push(line.record);
+
+    if (batch.length === BATCH_SIZE) {
+      count += insertBatch(batch);
+      batch = [];
+      console.log(`Loaded ${count} records from ${path}.`);
+    }
+  }
+
+  count += insertBatch(batch);
+  return count;
+}
+
+/**
+ * Builds a dump database from Open Library's dump files. `editions` is required; `works` and `authors` are optional,
+ * but without them books have no first publish year, subjects, or (usually) author.
+ *
+ * The database is written next to `database` and moved into place when it's done, so a step reading the old one
+ * isn't disturbed. Returns { database, editions, isbns, works, authors }, counting what was written.
+ */
+export async function buildDumpDatabase({
+  database: path,
+  editions,
+  works = null,
+  authors = null,
+}) {
+  if (!path) {
+    throw new BookScannerError("The database path is required.", {
+      code: "DUMP_UNAVAILABLE",
+    });
+  }
+
+  warnIfTemporary(path);
+
+  if (!editions) {
+    throw new BookScannerError("The editions dump file is required.", {
+      code: "DUMP_UNAVAILABLE",
+    });
+  }
+
+  for (const file of [editions, works, authors].filter(Boolean)) {
+    if (!existsSync(file)) {
+      throw new BookScannerError(`The dump file ${file} doesn't exist.`, {
+        code: "DUMP_UNAVAILABLE",
+      });
+    }
+  }
+
+  const buildPath = `${path}.building`;
+  await fs.rm(buildPath, { force: true });
+
+  const Database = await loadSQLite();
+  const database = new Database(buildPath);
+  const counts = { database: path, editions: 0, isbns: 0, works: 0, authors: 0 };
+
+  try {
+    // The file is thrown away if the build fails, so there's nothing for a journal to protect
+    database.pragma("journal_mode = OFF");
+    database.pragma("synchronous = OFF");
+    database.exec(SCHEMA);
+
+    const insertEdition = database.prepare(
+      "INSERT OR REPLACE INTO editions (key, work_key, data) VALUES (?, ?, ?)"
+    );
+    const insertISBN = database.prepare(
+      "INSERT OR IGNORE INTO isbns (isbn, edition_key) VALUES (?, ?)"
+    );
+    const insertWork = database.prepare(
+      "INSERT OR REPLACE INTO works (key, data) VALUES (?, ?)"
+    );
+    const insertAuthor = database.prepare(
+      "INSERT OR REPLACE INTO authors (key, data) VALUES (?, ?)"
+    );
+
+    counts.editions = await loadDumpFile(database, editions, "/type/edition", (edition) => {
+      const numbers = editionISBNs(edition);
+
+      if (numbers.length === 0) {
+        return false;
+      }
+
+      insertEdition.run(edition.key, edition.works?.[0]?.key ?? null, JSON.stringify(edition));
+      numbers.forEach((number) => insertISBN.run(number, edition.key));
+      counts.isbns += numbers.length;
+      return true;
+    });
+
+    if (works) {
+      counts.works = await loadDumpFile(database, works, "/type/work", (work) => {
+        const fields = Object.fromEntries(
+          WORK_FIELDS.filter((field) => work[field] !== undefined).map((field) => [
+            field,
+            work[field],
+          ])
+        );
+
+        insertWork.run(work.key, JSON.stringify(fields));
+        return true;
+      });
+    }
+
+    if (authors) {
+      counts.authors = await loadDumpFile(database, authors, "/type/author", (author) => {
+        if (!author.name) {
+          return false;
+        }
+
+        insertAuthor.run(author.key, JSON.stringify({ key: author.key, name: author.name }));
+        return true;
+      });
+    }
+
+    // Look up related editions by work
+    database.exec("CREATE INDEX editions_work_key ON editions (work_key)");
+
+    const insertMeta = database.prepare("INSERT INTO meta (name, value) VALUES (?, ?)");
+    insertMeta.run("built_at", new Date().toISOString());
+    insertMeta.run("files", JSON.stringify({ editions, works, authors }));
+  } catch (error) {
+    database.close();
+    await fs.rm(buildPath, { force: true });
+    throw error;
+  }
+
+  database.close();
+
+  // Drop any open handle to the old database, so the next lookup reads the new one
+  databases.get(path)?.close();
+  databases.delete(path);
+
+  await fs.rename(buildPath, path);
+  return counts;
+}
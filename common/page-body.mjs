@@ -0,0 +1,383 @@
+import { decodeEntities, isHTML } from "./html.mjs";
+import { buildURL, resolveEndpoints } from "./endpoints.mjs";
+
+/**
+ * Builds the body of a book's Notion page from the fetched book record.
+ *
+ * The body is made of sections, which the user can pick and order. Notion limits each rich text object to 2,000
+ * characters, each block to 100 rich text objects, and each request to 100 child blocks, so long text is split
+ * across objects and blocks here, and chunkBlocks() splits the result into request-sized batches.
+ */
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_RICH_TEXT_ITEMS = 100;
+const MAX_BLOCKS_PER_REQUEST = 100;
+
+/**
+ * The sections that can go in the page body, in their default order.
+ */
+export const BODY_SECTIONS = [
+  {
+    label: "Details callout (author, publisher, pages, ISBN)",
+    value: "details",
+  },
+  {
+    label: "Description",
+    value: "description",
+  },
+  {
+    label: "Subjects and categories",
+    value: "subjects",
+  },
+  {
+    label: "Links to the book's records",
+    value: "links",
+  },
+];
+
+/**
+ * Turns text segments ({ content, annotations, link }) into Notion rich text objects, splitting any segment longer
+ * than Notion's limit.
+ */
+function toRichText(segments) {
+  return segments.flatMap(({ content, annotations, link }) => {
+    const pieces = [];
+
+    for (let i = 0; i < content.length; i += MAX_TEXT_LENGTH) {
+      pieces.push({
+        type: "text",
+        text: {
+          content: content.substring(i, i + MAX_TEXT_LENGTH),
+          ...(link && { link: { url: link } }),
+        },
+        ...(annotations && { annotations }),
+      });
+    }
+
+    return pieces;
+  });
+}
+
+/**
+ * Builds blocks of the given type from rich text, splitting it over several blocks if it has more objects than a
+ * single block allows.
+ */
+function textBlocks(type, richText, extra = {}) {
+  const blocks = [];
+
+  for (let i = 0; i < richText.length; i += MAX_RICH_TEXT_ITEMS) {
+    blocks.push({
+      object: "block",
+      type,
+      [type]: {
+        rich_text: richText.slice(i, i + MAX_RICH_TEXT_ITEMS),
+        ...extra,
+      },
+    });
+  }
+
+  return blocks;
+}
+
+function heading(text) {
+  return textBlocks("heading_2", toRichText([{ content: text }]));
+}
+
+/**
+ * Converts an HTML description to Notion blocks, keeping paragraphs, line breaks, bulleted and numbered lists,
+ * links, and bold, italic and underlined text.
+ */
+export function htmlToBlocks(html) {
+  const blocks = [];
+  const lists = [];
+  const styles = { bold: 0, italic: 0, underline: 0 };
+  let link = null;
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      // Trim whitespace left at the edges of the block by the HTML's formatting
+      const segments = current.segments;
+      if (segments.length > 0) {
+        segments[0].content = segments[0].content.replace(/^\s+/, "");
+        const last = segments[segments.length - 1];
+        last.content = last.content.replace(/\s+$/, "");
+      }
+
+      const filled = segments.filter((segment) => segment.content !== "");
+      if (filled.length > 0) {
+        blocks.push(...textBlocks(current.type, toRichText(filled)));
+      }
+    }
+
+    current = null;
+  };
+
+  const append = (content) => {
+    if (!current) {
+      current = { type: "paragraph", segments: [] };
+    }
+
+    const annotations = {
+      bold: styles.bold > 0,
+      italic: styles.italic > 0,
+      underline: styles.underline > 0,
+    };
+
+    // Merge with the previous segment when the formatting is the same
+    const previous = current.segments[current.segments.length - 1];
+    if (
+      previous &&
+      previous.link === link &&
+      JSON.stringify(previous.annotations) === JSON.stringify(annotations)
+    ) {
+      previous.content += content;
+    } else {
+      current.segments.push({ content, annotations, link });
+    }
+  };
+
+  for (const token of String(html ?? "").split(/(<[^>]+>)/)) {
+    const tag = token.match(/^<\s*(\/)?\s*([a-z0-9]+)([^>]*)>$/i);
+
+    if (!tag) {
+      const text = decodeEntities(token.replace(/\s+/g, " "));
+      if (text.trim() !== "" || current) {
+        append(text);
+      }
+      continue;
+    }
+
+    const [, closing, rawName, attributes] = tag;
+    const name = rawName.toLowerCase();
+    const delta = closing ? -1 : 1;
+
+    switch (name) {
+      case "b":
+      case "strong":
+        styles.bold = Math.max(0, styles.bold + delta);
+        break;
+      case "i":
+      case "em":
+        styles.italic = Math.max(0, styles.italic + delta);
+        break;
+      case "u":
+        styles.underline = Math.max(0, styles.underline + delta);
+        break;
+      case "a":
+        link = closing
+          ? null
+          : attributes.match(/href\s*=\s*["']?(https?:\/\/[^"'\s>]+)/i)?.[1] ??
+            null;
+        break;
+      case "br":
+        append("\n");
+        break;
+      case "ul":
+      case "ol":
+        flush();
+        if (closing) {
+          lists.pop();
+        } else {
+          lists.push(name);
+        }
+        break;
+      case "li":
+        flush();
+        if (!closing) {
+          current = {
+            type:
+              lists[lists.length - 1] === "ol"
+                ? "numbered_list_item"
+                : "bulleted_list_item",
+            segments: [],
+          };
+        }
+        break;
+      case "p":
+      case "div":
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6":
+      case "blockquote":
+        flush();
+        break;
+      default:
+        // Unknown tags are dropped, but their text is kept
+        break;
+    }
+  }
+
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Converts a plain text description to paragraph blocks, one per blank-line-separated paragraph.
+ */
+export function textToBlocks(text) {
+  return String(text ?? "")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .flatMap((paragraph) =>
+      textBlocks("paragraph", toRichText([{ content: paragraph }]))
+    );
+}
+
+/**
+ * The details callout: one bold label and value per line.
+ */
+function detailsSection(book) {
+  const details = [
+    ["Author", book.author],
+    [
+      "Series",
+      book.series_name &&
+        `${book.series_name}${book.series_number ? ` #${book.series_number}` : ""}`,
+    ],
+    ["Publisher", book.publisher],
+    ["Published", book.publish_date || book.publish_year],
+    ["First published", book.first_publish_year],
+    ["Pages", book.page_count],
+    ["Language", book.language],
+    ["ISBN-13", book.isbn_13],
+    ["ISBN-10", book.isbn_10],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== "");
+
+  if (details.length === 0) {
+    return [];
+  }
+
+  const segments = details.flatMap(([label, value], index) => [
+    {
+      content: `${index > 0 ? "\n" : ""}${label}: `,
+      annotations: { bold: true },
+    },
+    { content: String(value) },
+  ]);
+
+  return textBlocks("callout", toRichText(segments), {
+    icon: { type: "emoji", emoji: "📖" },
+  });
+}
+
+function descriptionSection(book) {
+  if (!book.description) {
+    return [];
+  }
+
+  const blocks = isHTML(book.description)
+    ? htmlToBlocks(book.description)
+    : textToBlocks(book.description);
+
+  return blocks.length > 0 ? [...heading("Description"), ...blocks] : [];
+}
+
+function listSection(title, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return [];
+  }
+
+  return [
+    ...heading(title),
+    ...items.flatMap((item) =>
+      textBlocks("bulleted_list_item", toRichText([{ content: String(item) }]))
+    ),
+  ];
+}
+
+function subjectsSection(book) {
+  return [
+    ...listSection("Subjects", book.subjects),
+    ...listSection("Categories", book.categories),
+  ];
+}
+
+function linksSection(book, { endpoints: stepEndpoints }) {
+  // A bad endpoint setting shouldn't stop the page from being saved, so the links are left out instead
+  let endpoints;
+
+  try {
+    endpoints = stepEndpoints ?? resolveEndpoints();
+  } catch (error) {
+    console.warn(`Leaving the links out of the page body: ${error.message}`);
+    return [];
+  }
+
+  const links = [
+    book.google_books_id && {
+      label: "Google Books",
+      url: buildURL(endpoints, "google_books_links", "/books", {
+        id: book.google_books_id,
+      }),
+    },
+    book.open_library_id && {
+      label: "Open Library",
+      url: buildURL(endpoints, "open_library", book.open_library_id),
+    },
+    // Skip the info link when it points at one of the sites above. Google hands out http:// links.
+    book.info_link &&
+      ![endpoints.google_books_links, endpoints.open_library].some((base) =>
+        book.info_link
+          .replace(/^https?:/, "")
+          .startsWith(base.replace(/^https?:/, ""))
+      ) && {
+        label: "More information",
+        url: book.info_link,
+      },
+  ].filter(Boolean);
+
+  if (links.length === 0) {
+    return [];
+  }
+
+  return [
+    ...heading("Links"),
+    ...links.flatMap(({ label, url }) =>
+      textBlocks(
+        "bulleted_list_item",
+        toRichText([{ content: label, link: url }])
+      )
+    ),
+  ];
+}
+
+const SECTION_BUILDERS = {
+  details: detailsSection,
+  description: descriptionSection,
+  subjects: subjectsSection,
+  links: linksSection,
+};
+
+/**
+ * Builds the page body blocks for a book, with the given sections in the given order. Sections with nothing to
+ * show are left out.
+ *
+ * `endpoints` are the step's resolved endpoints (see endpoints.mjs), which the links point at. Without them, the
+ * environment variables and defaults are used.
+ */
+export function buildPageBody(book, sections, { endpoints = null } = {}) {
+  const context = { endpoints };
+
+  return (sections ?? [])
+    .filter((section) => SECTION_BUILDERS[section])
+    .flatMap((section) => SECTION_BUILDERS[section](book, context));
+}
+
+/**
+ * Splits blocks into batches that fit in a single request.
+ */
+export function chunkBlocks(blocks) {
+  const chunks = [];
+
+  for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
+    chunks.push(blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST));
+  }
+
+  return chunks;
+}
@@ -0,0 +1,213 @@
+import { InvalidPayloadError } from "./errors.mjs";
+import { READING_ACTIONS } from "./reading.mjs";
+
+/**
+ * The request body the trigger accepts, and its validation.
+ *
+ * Besides the ISBN (or a title to search for), the body can carry the user's own data about their copy of the book.
+ * Those fields are passed through Fetch_Book's record, so Create_Notion_Page can map them like any fetched field.
+ * Fields that aren't in the schema are ignored.
+ */
+
+/**
+ * The formats a copy can be in. Keys are what the body can send (case-insensitive); values are what's written to
+ * Notion.
+ */
+export const BOOK_FORMATS = {
+  hardcover: "Hardcover",
+  hardback: "Hardcover",
+  paperback: "Paperback",
+  softcover: "Paperback",
+  ebook: "Ebook",
+  "e-book": "Ebook",
+  audio: "Audiobook",
+  audiobook: "Audiobook",
+};
+
+/**
+ * The highest rating allowed. Ratings go from 0 to this, in steps of 0.5.
+ */
+const MAX_RATING = 5;
+
+/**
+ * The user-supplied fields that end up in the book record.
+ */
+export const USER_FIELDS = [
+  "tags",
+  "shelf",
+  "owner",
+  "format",
+  "rating",
+  "notes",
+  "scanned_at",
+];
+
+/**
+ * Validators for each field in the schema. Each takes the raw value (never undefined or null) and returns the
+ * cleaned value, or throws an Error whose message says what's wrong.
+ */
+const FIELDS = {
+  isbn: (value) => {
+    if (typeof value !== "string" && typeof value !== "number") {
+      throw new Error("must be a string or a number");
+    }
+
+    // The number itself is checked by normalizeISBN(), which throws an InvalidISBNError
+    return String(value);
+  },
+  title: (value) => requireText(value),
+  author: (value) => requireText(value),
+  refresh: (value) => requireBoolean(value),
+  dry_run: (value) => requireBoolean(value),
+  action: (value) => {
+    const action = String(value).trim().toLowerCase();
+
+    if (!READING_ACTIONS.includes(action)) {
+      throw new Error(`must be one of: ${READING_ACTIONS.join(", ")}`);
+    }
+
+    return action;
+  },
+  tags: (value) => {
+    // Accept a list, or a comma-separated string from clients that can't send arrays
+    const tags = Array.isArray(value) ? value : String(value).split(",");
+
+    if (tags.some((tag) => typeof tag !== "string")) {
+      throw new Error("must be a list of strings");
+    }
+
+    return tags.map((tag) => tag.trim()).filter(Boolean);
+  },
+  shelf: (value) => requireText(value),
+  owner: (value) => requireText(value),
+  format: (value) => {
+    const format = BOOK_FORMATS[String(value).trim().toLowerCase()];
+
+    if (!format) {
+      throw new Error(
+        `must be one of: ${[...new Set(Object.values(BOOK_FORMATS))]
+          .map((name) => name.toLowerCase())
+          .join(", ")}`
+      );
+    }
+
+    return format;
+  },
+  rating: (value) => {
+    const rating = typeof value === "string" ? Number(value) : value;
+
+    if (
+      typeof rating !== "number" ||
+      !Number.isFinite(rating) ||
+      rating < 0 ||
+      rating > MAX_RATING ||
+      (rating * 2) % 1 !== 0
+    ) {
+      throw new Error(`must be a number from 0 to ${MAX_RATING}, in steps of 0.5`);
+    }
+
+    return rating;
+  },
+  notes: (value) => requireText(value),
+  scanned_at: (value) => {
+    const text = requireText(value);
+
+    if (!/^\d{4}-\d{2}-\d{2}/.test(text) || isNaN(Date.parse(text))) {
+      throw new Error("must be an ISO 8601 date or date-time, e.g. 2024-05-07T14:30:00Z");
+    }
+
+    return text;
+  },
+};
+
+/**
+ * Checks that a value is true or false and returns it.
+ */
+function requireBoolean(value) {
+  if (typeof value !== "boolean") {
+    throw new Error("must be true or false");
+  }
+
+  return value;
+}
+
+/**
+ * Checks that a value is a non-empty string and returns it trimmed.
+ */
+function requireText(value) {
+  if (typeof value !== "string") {
+    throw new Error("must be a string");
+  }
+
+  const text = value.trim();
+
+  if (text === "") {
+    throw new Error("must not be empty");
+  }
+
+  return text;
+}
+
+/**
+ * Validates the trigger's request body and returns the cleaned payload. Missing fields are left out, except `action`,
+ * which defaults to "add".
+ *
+ * Every field is checked before anything is thrown, so the InvalidPayloadError lists all the problems at once.
+ * Either `isbn` or `title` is required.
+ */
+export function parsePayload(body) {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new InvalidPayloadError(
+      "Invalid request body: it must be a JSON object, e.g. {\"isbn\": \"9781517004446\"}.",
+      { errors: [{ field: "body", message: "must be a JSON object" }] }
+    );
+  }
+
+  const payload = {};
+  const errors = [];
+
+  for (const [field, validate] of Object.entries(FIELDS)) {
+    const value = body[field];
+
+    if (value === undefined || value === null || value === "") {
+      continue;
+    }
+
+    try {
+      payload[field] = validate(value);
+    } catch (error) {
+      errors.push({ field, message: error.message });
+    }
+  }
+
+  if (
+    !payload.isbn &&
+    !payload.title &&
+    !errors.some(({ field }) => field === "isbn" || field === "title")
+  ) {
+    errors.push({ field: "isbn", message: "is required unless a title is sent" });
+  }
+
+  if (errors.length > 0) {
+    throw new InvalidPayloadError(
+      `Invalid request body: ${errors
+        .map(({ field, message }) => `${field} ${message}`)
+        .join("; ")}.`,
+      { errors }
+    );
+  }
+
+  return { action: "add", ...payload };
+}
+
+/**
+ * Picks the user-supplied fields out of a parsed payload, for adding to the book record.
+ */
+export function getUserFields(payload) {
+  return Object.fromEntries(
+    USER_FIELDS.filter((field) => payload[field] !== undefined).map((field) => [
+      field,
+      payload[field],
+    ])
+  );
+}
@@ -0,0 +1,84 @@
+import { readPropertyValue } from "./notion-properties.mjs";
+
+/**
+ * Dry-run previews: what a step would send to Notion, without sending it.
+ *
+ * A preview holds the exact request (`method` and `payload`), the problems found while building it, and, when an
+ * existing page would be updated, the changes the update would make to it.
+ */
+
+/**
+ * Lists the mapped properties the database doesn't have. `mappings` maps a label for each setting to the property
+ * it points at; unset settings are ignored.
+ */
+export function findMissingProperties(schema, mappings) {
+  return Object.entries(mappings)
+    .filter(([, property]) => property && !schema[property])
+    .map(
+      ([label, property]) =>
+        `${label} is mapped to the "${property}" property, which doesn't exist in the database.`
+    );
+}
+
+/**
+ * Compares an update's properties with the existing page's. Returns { property, current, proposed } for each
+ * property whose value would change, with both values read as plain values.
+ */
+export function diffProperties(page, properties, schema) {
+  return Object.entries(properties)
+    .map(([property, value]) => ({
+      property,
+      current: readPropertyValue(page.properties[property]),
+      proposed: readPropertyValue({ type: schema[property]?.type, ...value }),
+    }))
+    .filter(
+      ({ current, proposed }) => JSON.stringify(current) !== JSON.stringify(proposed)
+    );
+}
+
+/**
+ * Builds a preview.
+ *
+ * - would: what the step would do ("create", "update", "overwrite", "advance", "skip" or "unchanged")
+ * - method / payload: the Notion request it would send, or null if it wouldn't send one
+ * - problems: warnings from building the page, and any other problems found
+ * - existing: the existing page match ({ page, matched_by }), if there is one
+ * - relations: the relations that would be linked ({ key, property, names }). They aren't resolved, since that can
+ *   create pages in the related databases.
+ */
+export function buildPreview({
+  would,
+  method = null,
+  payload = null,
+  problems = [],
+  existing = null,
+  relations = [],
+  schema,
+}) {
+  const changes =
+    existing && payload
+      ? diffProperties(existing.page, payload.properties ?? {}, schema)
+      : null;
+
+  const coverURL = (cover) => cover?.external?.url ?? cover?.file?.url ?? null;
+
+  if (changes && payload.cover && coverURL(payload.cover) !== coverURL(existing.page.cover)) {
+    changes.push({
+      property: "(page cover)",
+      current: coverURL(existing.page.cover),
+      proposed: coverURL(payload.cover),
+    });
+  }
+
+  return {
+    would,
+    method,
+    payload,
+    problems: [...new Set(problems)],
+    existing_page_id: existing?.page.id ?? null,
+    existing_page_url: existing?.page.url ?? null,
+    matched_by: existing?.matched_by ?? null,
+    changes,
+    relations: relations.map(({ key, property, names }) => ({ key, property, names })),
+  };
+}
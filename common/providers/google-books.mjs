@@ -0,0 +1,157 @@
+import {
+  buildBookTitle,
+  languageName,
+  normalizeDate,
+  parseYear,
+} from "../book-record.mjs";
+import { findSeries } from "../series.mjs";
+import { rankMatches } from "../ranking.mjs";
+import { buildURL } from "../endpoints.mjs";
+
+/**
+ * Google Books provider: https://developers.google.com/books/docs/v1/using
+ *
+ * Requires an API key. Searching by ISBN returns volume summaries, so the full record is fetched separately by
+ * volume ID.
+ */
+export default {
+  id: "google_books",
+  label: "Google Books",
+
+  /**
+   * Google Books is only used when an API key is set.
+   */
+  isAvailable({ googleBooksAPIKey }) {
+    return Boolean(googleBooksAPIKey);
+  },
+
+  /**
+   * Searches for the book by ISBN and ranks the volumes it returns (see ranking.mjs). Returns the best match
+   * ({ id, confidence, reason }) or null.
+   */
+  async lookup(isbn, { fetchData, config }) {
+    const searchURL = buildURL(config.endpoints, "google_books", "/volumes", {
+      q: `isbn:${isbn}`,
+      key: config.googleBooksAPIKey,
+    });
+    const searchResponse = await fetchData(searchURL);
+
+    const best = rankMatches(searchResponse?.items, isbn, ({ volumeInfo }) => ({
+      isbns: (volumeInfo.industryIdentifiers ?? []).map(
+        (identifier) => identifier.identifier
+      ),
+      language: volumeInfo.language,
+      details: [
+        volumeInfo.title,
+        volumeInfo.authors,
+        volumeInfo.publisher,
+        volumeInfo.publishedDate,
+        volumeInfo.pageCount,
+        volumeInfo.imageLinks,
+      ],
+    }));
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      id: best.item.id,
+      confidence: best.confidence,
+      reason: best.reason,
+      isbn_matched: best.isbn_matched,
+    };
+  },
+
+  /**
+   * Searches by title and author. Returns candidates ({ id, match, title, authors, isbn_13 }).
+   */
+  async search({ title, author }, { fetchData, config }) {
+    const terms = [
+      `intitle:${title}`,
+      ...(author ? [`inauthor:${author}`] : []),
+    ];
+
+    const searchURL = buildURL(config.endpoints, "google_books", "/volumes", {
+      q: terms.join(" "),
+      maxResults: 10,
+      key: config.googleBooksAPIKey,
+    });
+    const searchResponse = await fetchData(searchURL);
+
+    return (searchResponse?.items ?? []).map((item) => ({
+      id: item.id,
+      match: { id: item.id },
+      title: buildBookTitle(item.volumeInfo ?? {}),
+      authors: item.volumeInfo?.authors ?? [],
+      isbn_13:
+        item.volumeInfo?.industryIdentifiers?.find(
+          (identifier) => identifier.type === "ISBN_13"
+        )?.identifier ?? "",
+    }));
+  },
+
+  /**
+   * Fetches the full volume record for a match.
+   */
+  async fetchRecord(match, { fetchData, config }) {
+    const fullRecordURL = buildURL(
+      config.endpoints,
+      "google_books",
+      `/volumes/${encodeURIComponent(match.id)}`,
+      { key: config.googleBooksAPIKey }
+    );
+    const fullRecordResponse = await fetchData(fullRecordURL);
+
+    return fullRecordResponse.volumeInfo;
+  },
+
+  /**
+   * Returns cover candidates from the volume's imageLinks, largest first. Only full records list the larger sizes.
+   */
+  coverCandidates(volumeInfo) {
+    const sizes = [
+      "extraLarge",
+      "large",
+      "medium",
+      "small",
+      "thumbnail",
+      "smallThumbnail",
+    ];
+
+    return sizes
+      .map((size) => volumeInfo?.imageLinks?.[size])
+      .filter(Boolean)
+      .map((url) => ({
+        // Google hands out http:// links, and the "curl" edge effect draws a fake page curl on the cover
+        url: url.replace(/^http:/, "https:").replace(/&edge=curl/, ""),
+        source: "google_books",
+      }));
+  },
+
+  /**
+   * Maps a volumeInfo object to the book record's fields.
+   */
+  normalize(volumeInfo) {
+    return {
+      title: buildBookTitle(volumeInfo),
+      author: volumeInfo.authors?.join(", ") ?? "",
+      authors: volumeInfo.authors ?? [],
+      page_count: volumeInfo.pageCount ?? "",
+      publisher: volumeInfo.publisher ?? "",
+      publish_date: normalizeDate(volumeInfo.publishedDate),
+      publish_year: parseYear(volumeInfo.publishedDate),
+      language: languageName(volumeInfo.language),
+      // Google descriptions are HTML. It's kept as-is here, and converted wherever it's written.
+      description: volumeInfo.description ?? "",
+      categories: volumeInfo.categories ?? [],
+      // Google only has the series' position, so the name has to come from the title
+      ...findSeries({
+        title: volumeInfo.title,
+        number: volumeInfo.seriesInfo?.bookDisplayNumber,
+      }),
+      info_link: volumeInfo.infoLink ?? "",
+      full_record: volumeInfo,
+    };
+  },
+};
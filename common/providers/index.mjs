@@ -0,0 +1,512 @@
+import googleBooks from "./google-books.mjs";
+import openLibrary from "./open-library.mjs";
+import libraryOfCongress from "./library-of-congress.mjs";
+import openLibraryDump from "./open-library-dump.mjs";
+
+import { createBookRecord } from "../book-record.mjs";
+import { mergeFields } from "../merge.mjs";
+import { pickBestCandidate } from "../search.mjs";
+import { ProviderDownError, RateLimitedError } from "../errors.mjs";
+
+/**
+ * Registry of book metadata providers.
+ *
+ * Every provider is a plain object with the same shape:
+ *
+ * - id / label: identifies the provider in props and in the book record's `db` field
+ * - isAvailable(config): whether the provider can be used (e.g. it has the API key it needs)
+ * - lookup(isbn, context): searches by ISBN and returns a match ({ id, confidence, reason, ... }) or null. When a
+ *   search returns several results, rank them with rankMatches() (see ranking.mjs) rather than taking the first
+ * - fetchRecord(match, context): returns the provider's full record for a match
+ * - normalize(record, context): maps the full record to the book record's fields
+ * - search(query, context): optional; searches by { title, author } and returns candidates
+ *   ({ id, match, title, authors, isbn_13 }), where `match` can be passed to fetchRecord()
+ * - coverCandidates(record, isbn, context): optional; returns cover image candidates ({ url, source, probe_url? }).
+ *   Called for every active provider, with `record` set to null if the provider didn't match the book.
+ * - relatedISBNs(match, context): optional; returns other ISBN-13s for the same work. Providers can instead set
+ *   `related_isbns` on the match when they get them for free.
+ * - idField: optional; the book record field the match ID goes in, if it isn't `${id}_id` (e.g. a provider that
+ *   serves another source's records)
+ * - local: optional; true if the provider makes no network requests, so its results aren't worth caching
+ *
+ * `context` holds { fetchData, config }. fetchData(url) is supplied by the calling step, so each step decides how
+ * requests are retried and throttled. It throws the typed errors from errors.mjs: a provider that's down or rate
+ * limiting us (ProviderDownError, RateLimitedError) is skipped for this lookup, so the other providers can still
+ * answer, and nothing is cached for it.
+ *
+ * `config.endpoints` holds the base URLs to use (see endpoints.mjs). Build every request and link URL with
+ * buildURL() so the sources can be pointed at mirrors or stub servers.
+ *
+ * To add a source, write a provider object and pass it to registerProvider() (or add it to the list below).
+ */
+const providers = new Map();
+
+/**
+ * Adds a provider to the registry, replacing any provider with the same ID.
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+[googleBooks, openLibrary, libraryOfCongress, openLibraryDump].forEach(registerProvider);
+
+/**
+ * The order providers are tried in when the user doesn't pick one. Matches the step's original behavior.
+ */
+export const DEFAULT_PROVIDER_ORDER = ["google_books", "open_library"];
+
+/**
+ * Returns the registered providers as prop options.
+ */
+export function getProviderOptions() {
+  return [...providers.values()].map((provider) => ({
+    label: provider.label,
+    value: provider.id,
+  }));
+}
+
+/**
+ * Turns a list of provider IDs into provider objects, dropping unknown IDs and providers that aren't available
+ * with the current config.
+ */
+export function resolveProviders(order, config) {
+  return (order?.length ? order : DEFAULT_PROVIDER_ORDER)
+    .filter((id, index, list) => list.indexOf(id) === index)
+    .map((id) => {
+      const provider = providers.get(id);
+
+      if (!provider) {
+        console.log(`Unknown book provider "${id}". Skipping it.`);
+        return null;
+      }
+
+      if (!provider.isAvailable(config)) {
+        console.log(`${provider.label} isn't configured. Skipping it.`);
+        return null;
+      }
+
+      return provider;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Returns true for errors that mean a provider can't answer right now, rather than that it doesn't have the book. A
+ * local dump database that's missing counts too (see open-library-dump.mjs).
+ */
+function isUnavailable(error) {
+  return (
+    error instanceof ProviderDownError ||
+    error instanceof RateLimitedError ||
+    error.code === "DUMP_UNAVAILABLE"
+  );
+}
+
+/**
+ * Notes the providers that were skipped, for a status reason. A miss means less when some sources couldn't be asked.
+ */
+function unavailableNote(labels) {
+  return labels.length > 0 ? ` (unavailable: ${labels.join(", ")})` : "";
+}
+
+/**
+ * Returned in place of a provider's answer when the provider is unavailable.
+ */
+const UNAVAILABLE = Symbol("unavailable");
+
+/**
+ * Confidence is scaled by this much when the match is for another edition of the book.
+ */
+const OTHER_EDITION_FACTOR = 0.75;
+
+/**
+ * Builds a hit's status ({ confidence, reason }) from the provider's match. Pass `otherISBN` when the match was
+ * found with another edition's ISBN.
+ */
+function matchStatus(provider, match, otherISBN = null) {
+  // Matches cached before ranking existed have no confidence, but they were still ISBN hits
+  const confidence = match.confidence ?? 1;
+  const reason = `${provider.label}: ${match.reason ?? "ISBN matches"}`;
+
+  if (!otherISBN) {
+    return { confidence, reason };
+  }
+
+  return {
+    confidence: Number((confidence * OTHER_EDITION_FACTOR).toFixed(2)),
+    reason: `${reason} (another edition, ISBN ${otherISBN})`,
+  };
+}
+
+/**
+ * Fetches a match's full record and reduces it to what the book record needs: the normalized fields and the cover
+ * candidates for `isbn`. That's what goes through `cached`, rather than the provider's raw record, which is often
+ * many times larger. The raw record is only returned as `full_record` when it was just fetched, since it isn't cached.
+ *
+ * Returns { fields, covers }.
+ */
+async function fetchBookFields(provider, match, { key, isbn, context, cached }) {
+  let fullRecord = null;
+
+  const entry = await cached(provider, key, async () => {
+    const record = await provider.fetchRecord(match, context);
+    const { full_record, ...fields } = provider.normalize(record, context);
+    fullRecord = full_record ?? record;
+
+    return {
+      fields,
+      covers: provider.coverCandidates?.(record, isbn, context) ?? [],
+    };
+  });
+
+  return {
+    fields: fullRecord ? { ...entry.fields, full_record: fullRecord } : entry.fields,
+    covers: entry.covers,
+  };
+}
+
+/**
+ * Looks up a book by ISBN in each provider, in order.
+ *
+ * When a provider finds the book and knows other ISBNs for the same work, the providers that missed are tried again
+ * with those ISBNs. A hit found that way matched another edition, so its confidence is discounted.
+ *
+ * The highest-priority provider that found the book is the primary source: it sets `db`, `db_id`, `status` and
+ * `full_record`. `status` is { confidence, reason }: the primary match's score from 0 to 1, and why it got it.
+ *
+ * With `merge` on, every provider that has the book is queried and each field is filled from the best available
+ * source (see merge.mjs); the `sources` map records which provider supplied each field. With `merge` off, the
+ * search stops at the first hit and every field comes from it.
+ *
+ * A provider that's down or rate limiting us is skipped at whichever stage it fails (lookup, related ISBNs, or the
+ * full record), and the status reason lists it as unavailable.
+ *
+ * Pass a `cache` (see cache.mjs) to reuse earlier results for the same provider and ISBN. Books served from the cache
+ * have no `full_record`, since only the normalized fields are cached.
+ *
+ * Returns a book record with `cover_candidates` instead of a resolved cover image (see covers.mjs). If no provider
+ * has the book, the record is a generic one titled with the ISBN.
+ */
+export async function lookupBook(
+  isbns,
+  { order, config, fetchData, merge = true, cache = null }
+) {
+  const book = createBookRecord(isbns);
+  const context = { fetchData, config };
+
+  // Every provider call goes through the cache (if there is one), keyed by provider and ISBN. Local providers are
+  // as quick as the cache, so they skip it.
+  const cached = (provider, key, fetch) =>
+    cache && !provider.local ? cache.wrap(key, fetch) : fetch();
+  const active = resolveProviders(order, config);
+
+  const hits = [];
+  const missed = [];
+  const unavailable = [];
+
+  // Makes a provider call, returning UNAVAILABLE instead of throwing if the provider is down or rate limiting us, so
+  // the other providers can still answer
+  const attempt = async (provider, call) => {
+    try {
+      return await call();
+    } catch (error) {
+      if (!isUnavailable(error)) {
+        throw error;
+      }
+
+      console.error(`${provider.label} is unavailable, so it's skipped: ${error.message}`);
+      if (!unavailable.includes(provider.label)) {
+        unavailable.push(provider.label);
+      }
+      return UNAVAILABLE;
+    }
+  };
+
+  for (const provider of active) {
+    console.log(`Searching ${provider.label} for book with ISBN: ${isbns.isbn_13}`);
+
+    const match = await attempt(provider, () =>
+      cached(provider, `${provider.id}:${isbns.isbn_13}`, () =>
+        provider.lookup(isbns.isbn_13, context)
+      )
+    );
+
+    if (match === UNAVAILABLE) {
+      continue;
+    }
+
+    if (match) {
+      console.log(`Found book in ${provider.label} with ID: ${match.id}`);
+      hits.push({
+        provider,
+        match,
+        isbn: isbns.isbn_13,
+        // Matches cached before ISBN matching was recorded were all ranked as ISBN hits
+        exact: match.isbn_matched !== false,
+        status: matchStatus(provider, match),
+      });
+
+      if (!merge) {
+        break;
+      }
+    } else {
+      console.log(`No book found in ${provider.label}.`);
+      missed.push(provider);
+    }
+  }
+
+  // Give the providers that missed another chance, using the other ISBNs the others know for this work. Without
+  // merging, only providers ranked above the current hit are worth retrying.
+  const relatedISBNs = new Set();
+
+  if (missed.length > 0) {
+    for (const hit of hits) {
+      const numbers = hit.provider.relatedISBNs
+        ? await attempt(hit.provider, () =>
+            cached(hit.provider, `${hit.provider.id}:${hit.isbn}:related`, () =>
+              hit.provider.relatedISBNs(hit.match, context)
+            )
+          )
+        : hit.match.related_isbns ?? [];
+
+      if (numbers !== UNAVAILABLE) {
+        numbers.forEach((number) => relatedISBNs.add(number));
+      }
+    }
+  }
+
+  if (relatedISBNs.size > 0) {
+    for (const provider of missed) {
+      if (!merge && hits.some((hit) => !hit.exact)) {
+        break;
+      }
+
+      console.log(
+        `Searching ${provider.label} for a match using other ISBN numbers for this title.`
+      );
+
+      for (const number of relatedISBNs) {
+        const match = await attempt(provider, () =>
+          cached(provider, `${provider.id}:${number}`, () =>
+            provider.lookup(number, context)
+          )
+        );
+
+        if (match === UNAVAILABLE) {
+          break;
+        }
+
+        if (match) {
+          console.log(`Found a valid match in ${provider.label} for ISBN: ${number}`);
+          hits.push({
+            provider,
+            match,
+            isbn: number,
+            exact: false,
+            status: matchStatus(provider, match, number),
+          });
+          break;
+        }
+      }
+    }
+  }
+
+  // Put the hits back in the user's provider order, so the primary source is the highest-priority one.
+  hits.sort((a, b) => active.indexOf(a.provider) - active.indexOf(b.provider));
+
+  // Fetch the full record for each hit. A hit whose provider goes down in the meantime is dropped; without merging,
+  // the next hit takes its place.
+  const used = [];
+  const candidates = [];
+  const covers = new Map();
+
+  for (const hit of hits) {
+    if (!merge && used.length > 0) {
+      break;
+    }
+
+    console.log(`Fetching full book record from ${hit.provider.label}.`);
+    const fetched = await attempt(hit.provider, () =>
+      fetchBookFields(hit.provider, hit.match, {
+        key: `${hit.provider.id}:${hit.isbn}:fields`,
+        isbn: isbns.isbn_13,
+        context,
+        cached,
+      })
+    );
+
+    if (fetched === UNAVAILABLE) {
+      continue;
+    }
+
+    used.push(hit);
+    covers.set(hit.provider, fetched.covers);
+
+    candidates.push({
+      provider: hit.provider.id,
+      exact: hit.exact,
+      fields: fetched.fields,
+    });
+  }
+
+  if (used.length === 0) {
+    // Search wasn't successful in any provider. Return a generic record with the ISBN number alone.
+    console.log(`No book found in any provider. Returning generic record.`);
+    book.title = `Unidentified Book with ISBN: ${isbns.isbn_13}`;
+    book.status = {
+      confidence: 0,
+      reason: `No source has this ISBN${unavailableNote(unavailable)}`,
+    };
+    return book;
+  }
+
+  const { fields, sources } = mergeFields(candidates);
+  const [primary] = used;
+
+  // Keep every provider's ID for the book (google_books_id, open_library_id, ...), not just the primary one's
+  const ids = Object.fromEntries(
+    used.map((hit) => [hit.provider.idField ?? `${hit.provider.id}_id`, hit.match.id])
+  );
+
+  // Collect cover candidates from every provider, in priority order. Providers that didn't have the book can still
+  // offer one filed under the ISBN. They're resolved by the calling step.
+  const coverCandidates = active.flatMap(
+    (provider) =>
+      covers.get(provider) ??
+      provider.coverCandidates?.(null, isbns.isbn_13, context) ??
+      []
+  );
+
+  return {
+    ...book,
+    ...fields,
+    ...ids,
+    cover_candidates: coverCandidates,
+    db: primary.provider.id,
+    db_id: primary.match.id,
+    status: primary.status,
+    full_record: candidates[0].fields.full_record ?? "",
+    sources,
+  };
+}
+
+/**
+ * Finds a book by title (and optionally author) when there's no ISBN, or no provider had the ISBN.
+ *
+ * Every provider that supports search is queried, and all the candidates are scored against the hints. The best
+ * candidate above the minimum score wins, and its full record is fetched. The status's confidence is the
+ * candidate's score, and its reason says the book was found by search rather than by ISBN.
+ *
+ * Returns a book record in the same shape as lookupBook(). If nothing matches, the record is a generic one titled
+ * with the user's title hint.
+ */
+export async function searchBook(
+  query,
+  { isbns = {}, order, config, fetchData, cache = null }
+) {
+  const book = createBookRecord(isbns);
+  const context = { fetchData, config };
+  const active = resolveProviders(order, config).filter(
+    (provider) => provider.search
+  );
+
+  const cached = (provider, key, fetch) =>
+    cache && !provider.local ? cache.wrap(key, fetch) : fetch();
+  const queryKey = `${query.title}|${query.author ?? ""}`.toLowerCase();
+
+  const candidates = [];
+  const unavailable = [];
+
+  for (const provider of active) {
+    console.log(
+      `Searching ${provider.label} for "${query.title}"${query.author ? ` by ${query.author}` : ""}.`
+    );
+
+    let results;
+    try {
+      results = await cached(provider, `${provider.id}:search:${queryKey}`, () =>
+        provider.search(query, context)
+      );
+    } catch (error) {
+      if (!isUnavailable(error)) {
+        throw error;
+      }
+
+      console.error(`${provider.label} is unavailable, so it's skipped: ${error.message}`);
+      unavailable.push(provider.label);
+      continue;
+    }
+
+    candidates.push(...results.map((result) => ({ ...result, provider })));
+  }
+
+  const best = pickBestCandidate(query, candidates);
+
+  if (!best) {
+    console.log(`No close search match found. Returning generic record.`);
+    book.title = query.title;
+    book.status = {
+      confidence: 0,
+      reason: `No close title and author search match${unavailableNote(unavailable)}`,
+    };
+    return book;
+  }
+
+  const { candidate, score } = best;
+  console.log(
+    `Best search match: "${candidate.title}" from ${candidate.provider.label} (score ${score.toFixed(2)}).`
+  );
+
+  const isbn13 = book.isbn_13 || candidate.isbn_13;
+
+  let fetched;
+  try {
+    fetched = await fetchBookFields(candidate.provider, candidate.match, {
+      key: `${candidate.provider.id}:fields:${candidate.id}`,
+      isbn: isbn13,
+      context,
+      cached,
+    });
+  } catch (error) {
+    if (!isUnavailable(error)) {
+      throw error;
+    }
+
+    console.error(`${candidate.provider.label} is unavailable, so it's skipped: ${error.message}`);
+    book.title = query.title;
+    book.status = {
+      confidence: 0,
+      reason: `Couldn't fetch the best search match${unavailableNote([candidate.provider.label])}`,
+    };
+    return book;
+  }
+
+  const { fields, sources } = mergeFields([
+    {
+      provider: candidate.provider.id,
+      exact: false,
+      fields: fetched.fields,
+    },
+  ]);
+
+  return {
+    ...book,
+    ...fields,
+    [candidate.provider.idField ?? `${candidate.provider.id}_id`]: candidate.id,
+    db: candidate.provider.id,
+    db_id: candidate.id,
+    status: {
+      confidence: Number(score.toFixed(2)),
+      reason: `${candidate.provider.label}: title and author search match`,
+    },
+    isbn_13: isbn13,
+    full_record: fetched.fields.full_record ?? "",
+    cover_candidates: resolveProviders(order, config).flatMap(
+      (provider) =>
+        (provider === candidate.provider
+          ? fetched.covers
+          : provider.coverCandidates?.(null, isbn13, context)) ?? []
+    ),
+    sources,
+  };
+}
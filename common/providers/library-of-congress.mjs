@@ -0,0 +1,195 @@
+// Import fast-xml-parser, which is used to parse the SRU API's XML responses: https://github.com/NaturalIntelligence/fast-xml-parser
+import { XMLParser } from "fast-xml-parser";
+
+import {
+  buildBookTitle,
+  languageName,
+  normalizeDate,
+  parseYear,
+} from "../book-record.mjs";
+import { findSeries } from "../series.mjs";
+import { rankMatches } from "../ranking.mjs";
+import { buildURL } from "../endpoints.mjs";
+
+/**
+ * Library of Congress provider, using the catalog's SRU API: https://www.loc.gov/standards/sru/
+ *
+ * No key needed. Records are requested in MODS format, and the search response already holds the full record.
+ */
+
+const parser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+});
+
+/**
+ * MODS elements can show up once or many times, so always work with an array.
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Returns the text of an element, whether the parser gave us a plain value or an object with attributes.
+ */
+function text(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  if (typeof value === "object") {
+    return String(value["#text"] ?? "").trim();
+  }
+
+  return String(value).trim();
+}
+
+/**
+ * Turns a MODS name element into "First Last". Dates and other typed name parts are ignored.
+ */
+function formatName(name) {
+  const parts = toArray(name.namePart).filter(
+    (part) => typeof part !== "object" || part["@_type"] !== "date"
+  );
+
+  const fullName = parts.map(text).join(" ").replace(/,\s*$/, "");
+
+  // The catalog stores personal names as "Last, First"
+  const [last, first] = fullName.split(/,\s*/);
+  return first ? `${first} ${last}` : fullName;
+}
+
+export default {
+  id: "library_of_congress",
+  label: "Library of Congress",
+
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * Searches the catalog by ISBN and ranks the records it returns (see ranking.mjs). Returns the best match
+   * ({ id, record, confidence, reason }) or null.
+   */
+  async lookup(isbn, { fetchData, config }) {
+    const searchURL = buildURL(config.endpoints, "library_of_congress", "", {
+      version: "1.1",
+      operation: "searchRetrieve",
+      query: `bath.isbn=${isbn}`,
+      maximumRecords: 5,
+      recordSchema: "mods",
+    });
+    const response = parser.parse(await fetchData(searchURL));
+
+    const result = response.searchRetrieveResponse;
+
+    if (!result || parseInt(result.numberOfRecords) === 0) {
+      return null;
+    }
+
+    const records = toArray(result.records?.record)
+      .map((record) => record?.recordData?.mods)
+      .filter(Boolean);
+
+    const best = rankMatches(records, isbn, (mods) => ({
+      isbns: toArray(mods.identifier)
+        .filter((identifier) => identifier["@_type"] === "isbn")
+        .map(text),
+      language: text(toArray(toArray(mods.language)[0]?.languageTerm)[0]),
+      details: [
+        text(toArray(mods.titleInfo)[0]?.title),
+        toArray(mods.name),
+        text(toArray(toArray(mods.originInfo)[0]?.publisher)[0]),
+        text(toArray(toArray(mods.originInfo)[0]?.dateIssued)[0]),
+        text(toArray(mods.physicalDescription)[0]?.extent),
+        toArray(mods.subject),
+      ],
+    }));
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      id: text(toArray(best.item.recordInfo?.recordIdentifier)[0]),
+      record: best.item,
+      confidence: best.confidence,
+      reason: best.reason,
+      isbn_matched: best.isbn_matched,
+    };
+  },
+
+  async fetchRecord(match) {
+    return match.record;
+  },
+
+  /**
+   * Maps a MODS record to the book record's fields.
+   */
+  normalize(mods, { config }) {
+    // Prefer the main title over alternative and translated titles
+    const titleInfo =
+      toArray(mods.titleInfo).find((info) => !info["@_type"]) ??
+      toArray(mods.titleInfo)[0] ??
+      {};
+
+    const authors = toArray(mods.name)
+      .filter((name) => name["@_type"] === "personal")
+      .map(formatName);
+
+    const extent = text(toArray(mods.physicalDescription)[0]?.extent);
+    const pages = extent.match(/(\d+)\s*p/);
+
+    const originInfo = toArray(mods.originInfo)[0] ?? {};
+    const dateIssued = text(toArray(originInfo.dateIssued)[0]);
+
+    const lccn = text(
+      toArray(mods.identifier).find((identifier) => identifier["@_type"] === "lccn")
+    ).replace(/\s/g, "");
+
+    const subjects = toArray(mods.subject)
+      .flatMap((subject) => toArray(subject.topic))
+      .map(text)
+      .filter(Boolean);
+
+    // Series statements are related items, with the position in the title ("Discworld series ; 12") or a part number
+    const seriesTitle = toArray(
+      toArray(mods.relatedItem).find((item) => item["@_type"] === "series")
+        ?.titleInfo
+    )[0];
+
+    return {
+      title: buildBookTitle({
+        title: [text(titleInfo.nonSort), text(titleInfo.title)]
+          .filter(Boolean)
+          .join(" "),
+        subtitle: text(titleInfo.subTitle),
+      }),
+      author: authors.join(", "),
+      authors,
+      page_count: pages ? parseInt(pages[1]) : "",
+      publisher: text(toArray(originInfo.publisher)[0]).replace(/[,;:\s]+$/, ""),
+      publish_date: normalizeDate(dateIssued),
+      publish_year: parseYear(dateIssued),
+      subjects: [...new Set(subjects)],
+      ...findSeries({
+        statement: text(seriesTitle?.title),
+        title: text(titleInfo.title),
+        number: text(seriesTitle?.partNumber),
+      }),
+      language: languageName(
+        text(toArray(toArray(mods.language)[0]?.languageTerm)[0])
+      ),
+      description: text(toArray(mods.abstract)[0]),
+      info_link: lccn
+        ? buildURL(config.endpoints, "library_of_congress_links", `/${lccn}`)
+        : "",
+      full_record: mods,
+    };
+  },
+};
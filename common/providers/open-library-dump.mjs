@@ -0,0 +1,97 @@
+import openLibrary, { findAuthorKeys, summarizeEdition } from "./open-library.mjs";
+import { rankMatches } from "../ranking.mjs";
+import {
+  findEditionsByISBN,
+  findWorkISBNs,
+  getDumpRecord,
+  openDumpDatabase,
+} from "../open-library-dump.mjs";
+
+/**
+ * Open Library provider that reads a local copy of Open Library's data dumps instead of the live API (see
+ * open-library-dump.mjs). It makes no network requests, so bulk imports can put it first and leave the live
+ * sources as a fallback.
+ *
+ * Its records have the same shape as the live provider's, so they're normalized the same way and its IDs fill the
+ * book record's open_library_id. Only ISBN lookups are supported.
+ */
+
+export default {
+  id: "open_library_dump",
+  label: "Open Library (Local Dump)",
+  idField: "open_library_id",
+  local: true,
+
+  /**
+   * The local dump is only used when a dump database is set.
+   */
+  isAvailable({ openLibraryDumpPath }) {
+    return Boolean(openLibraryDumpPath);
+  },
+
+  /**
+   * Finds the editions filed under the ISBN and ranks them (see ranking.mjs). Returns the best match
+   * ({ id, edition, confidence, reason }) or null.
+   */
+  async lookup(isbn, { config }) {
+    const database = await openDumpDatabase(config.openLibraryDumpPath);
+
+    const best = rankMatches(findEditionsByISBN(database, isbn), isbn, (edition) =>
+      summarizeEdition(edition, isbn)
+    );
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      id: best.item.key,
+      edition: best.item,
+      confidence: best.confidence,
+      reason: best.reason,
+      isbn_matched: best.isbn_matched,
+    };
+  },
+
+  /**
+   * Returns the ISBN-13 numbers of the matched work's other editions in the dump.
+   */
+  async relatedISBNs(match, { config }) {
+    const workKey = match.edition.works?.[0]?.key;
+
+    if (!workKey) {
+      return [];
+    }
+
+    return findWorkISBNs(
+      await openDumpDatabase(config.openLibraryDumpPath),
+      workKey,
+      match.edition.key
+    );
+  },
+
+  /**
+   * Reads the edition's work and author records from the dump.
+   */
+  async fetchRecord(match, { config }) {
+    const database = await openDumpDatabase(config.openLibraryDumpPath);
+    const { edition } = match;
+
+    const workKey = edition.works?.[0]?.key;
+    const work = workKey ? getDumpRecord(database, "work", workKey) : null;
+
+    const authors = findAuthorKeys(edition, work)
+      .map((key) => getDumpRecord(database, "author", key)?.name)
+      .filter(Boolean);
+
+    return { edition, work, authors };
+  },
+
+  coverCandidates(record, isbn, context) {
+    return openLibrary.coverCandidates(record, isbn, context);
+  },
+
+  normalize(record, context) {
+    return openLibrary.normalize(record, context);
+  },
+};
@@ -0,0 +1,287 @@
+import {
+  buildBookTitle,
+  languageName,
+  normalizeDate,
+  parseYear,
+} from "../book-record.mjs";
+import { findSeries } from "../series.mjs";
+import { rankMatches, scoreMatch } from "../ranking.mjs";
+import { NotFoundError } from "../errors.mjs";
+import { buildURL } from "../endpoints.mjs";
+
+/**
+ * Open Library provider: https://openlibrary.org/developers/api
+ *
+ * No key needed. Books are resolved to the exact edition through the ISBN endpoint (/isbn/{isbn}.json), which
+ * holds the edition's page count, publisher and publish date. The edition links to its work, which holds the
+ * first publish year and subjects.
+ *
+ * If Open Library has no edition record for the ISBN, the search endpoint is used instead. Search results describe
+ * the whole work, so only work-level fields are taken from them.
+ */
+
+/**
+ * Fetches an Open Library JSON record, returning null if it doesn't exist.
+ */
+async function fetchRecordOrNull(url, fetchData) {
+  try {
+    return await fetchData(url);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Summarizes an edition record for scoreMatch() (see ranking.mjs). The edition was found under `isbn`, so that
+ * counts as listed even if the record doesn't list it.
+ */
+export function summarizeEdition(edition, isbn) {
+  return {
+    isbns: [isbn, ...(edition.isbn_13 ?? []), ...(edition.isbn_10 ?? [])],
+    language: edition.languages?.[0]?.key?.split("/").pop(),
+    details: [
+      edition.title,
+      edition.authors,
+      edition.publishers,
+      edition.publish_date,
+      edition.number_of_pages,
+      edition.covers,
+    ],
+  };
+}
+
+/**
+ * Returns the author keys for an edition. Editions don't always list authors, so this falls back to the work's.
+ */
+export function findAuthorKeys(edition, work) {
+  return (edition.authors ?? [])
+    .map((author) => author.key)
+    .concat(
+      edition.authors?.length
+        ? []
+        : (work?.authors ?? []).map((entry) => entry.author?.key)
+    )
+    .filter(Boolean);
+}
+
+export default {
+  id: "open_library",
+  label: "Open Library",
+
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * Resolves the edition for an ISBN. Returns a match ({ id, edition } or { id, doc, related_isbns }, plus
+   * { confidence, reason }) or null.
+   */
+  async lookup(isbn, { fetchData, config }) {
+    const edition = await fetchRecordOrNull(
+      buildURL(config.endpoints, "open_library", `/isbn/${isbn}.json`),
+      fetchData
+    );
+
+    if (edition) {
+      return {
+        id: edition.key,
+        edition,
+        ...scoreMatch(summarizeEdition(edition, isbn), isbn),
+      };
+    }
+
+    console.log(`No Open Library edition for ISBN ${isbn}. Trying search.`);
+    const openLibraryResponse = await fetchData(
+      buildURL(config.endpoints, "open_library", "/search.json", { q: isbn })
+    );
+
+    // Free-text search can return unrelated works, so rank the results rather than taking the first one
+    const best = rankMatches(openLibraryResponse?.docs, isbn, (doc) => ({
+      isbns: doc.isbn,
+      language: doc.language?.[0],
+      details: [
+        doc.title,
+        doc.author_name,
+        doc.publisher,
+        doc.first_publish_year,
+        doc.number_of_pages_median,
+        doc.cover_i,
+      ],
+    }));
+
+    if (!best) {
+      return null;
+    }
+
+    const doc = best.item;
+
+    return {
+      id: doc.key,
+      doc,
+      confidence: best.confidence,
+      reason: best.reason,
+      isbn_matched: best.isbn_matched,
+      // Get only the ISBN-13 numbers
+      related_isbns: (doc.isbn ?? []).filter(
+        (edition) => edition.length === 13 && edition !== isbn
+      ),
+    };
+  },
+
+  /**
+   * Searches by title and author. Returns candidates ({ id, match, title, authors, isbn_13 }).
+   */
+  async search({ title, author }, { fetchData, config }) {
+    const searchResponse = await fetchData(
+      buildURL(config.endpoints, "open_library", "/search.json", {
+        title,
+        author: author || null,
+        limit: 10,
+      })
+    );
+
+    return (searchResponse?.docs ?? []).map((doc) => ({
+      id: doc.key,
+      match: { id: doc.key, doc },
+      title: buildBookTitle(doc),
+      authors: doc.author_name ?? [],
+      isbn_13: (doc.isbn ?? []).find((number) => number.length === 13) ?? "",
+    }));
+  },
+
+  /**
+   * Returns the other ISBN-13 numbers Open Library knows for the matched work.
+   */
+  async relatedISBNs(match, { fetchData, config }) {
+    if (match.related_isbns) {
+      return match.related_isbns;
+    }
+
+    const workKey = match.edition.works?.[0]?.key;
+    if (!workKey) {
+      return [];
+    }
+
+    const editions = await fetchRecordOrNull(
+      buildURL(config.endpoints, "open_library", `${workKey}/editions.json`, {
+        limit: 50,
+      }),
+      fetchData
+    );
+
+    return (editions?.entries ?? [])
+      .flatMap((entry) => entry.isbn_13 ?? [])
+      .filter((number) => !match.edition.isbn_13?.includes(number));
+  },
+
+  /**
+   * Fetches the edition's work and author records. Search matches already hold everything we can use.
+   */
+  async fetchRecord(match, { fetchData, config }) {
+    if (!match.edition) {
+      return { doc: match.doc };
+    }
+
+    const { edition } = match;
+
+    const workKey = edition.works?.[0]?.key;
+    const work = workKey
+      ? await fetchRecordOrNull(
+          buildURL(config.endpoints, "open_library", `${workKey}.json`),
+          fetchData
+        )
+      : null;
+
+    const authors = [];
+    for (const key of findAuthorKeys(edition, work)) {
+      const author = await fetchRecordOrNull(
+        buildURL(config.endpoints, "open_library", `${key}.json`),
+        fetchData
+      );
+      if (author?.name) {
+        authors.push(author.name);
+      }
+    }
+
+    return { edition, work, authors };
+  },
+
+  /**
+   * Returns cover candidates: the cover IDs on the edition (or search doc), then the cover Open Library files under
+   * the ISBN. The ISBN cover is always suggested, even when Open Library didn't match the book.
+   *
+   * "?default=false" makes missing covers return a 404 instead of a blank image. It's only used for the check.
+   */
+  coverCandidates(record, isbn, { config }) {
+    const coverURL = (path) =>
+      buildURL(config.endpoints, "open_library_covers", path);
+
+    const coverIDs = [
+      ...(record?.edition?.covers ?? []),
+      ...(record?.doc?.cover_i ? [record.doc.cover_i] : []),
+    ].filter((id) => id > 0);
+
+    const urls = [
+      ...coverIDs.map((id) => coverURL(`/b/id/${id}-L.jpg`)),
+      ...(isbn ? [coverURL(`/b/isbn/${isbn}-L.jpg`)] : []),
+    ];
+
+    return urls.map((url) => ({
+      url,
+      probe_url: `${url}?default=false`,
+      source: "open_library",
+    }));
+  },
+
+  /**
+   * Maps the edition and work records to the book record's fields. Edition fields describe the scanned copy; the
+   * first publish year and subjects describe the work.
+   */
+  normalize({ edition, work, authors, doc }, { config }) {
+    if (!edition) {
+      return {
+        title: buildBookTitle(doc),
+        author: doc.author_name?.join(", ") ?? "",
+        authors: doc.author_name ?? [],
+        first_publish_year: parseYear(doc.first_publish_year),
+        subjects: doc.subject ?? [],
+        language: languageName(doc.language?.[0]),
+        ...findSeries({ title: doc.title }),
+        info_link: buildURL(config.endpoints, "open_library", doc.key),
+        full_record: doc,
+      };
+    }
+
+    return {
+      title: buildBookTitle(edition),
+      author: authors.join(", "),
+      authors,
+      page_count: edition.number_of_pages ?? "",
+      publisher: edition.publishers?.[0] ?? "",
+      publish_date: normalizeDate(edition.publish_date),
+      publish_year: parseYear(edition.publish_date),
+      first_publish_year: parseYear(work?.first_publish_date),
+      subjects: work?.subjects ?? [],
+      // Series statements look like "Discworld -- 12"
+      ...findSeries({
+        statement: edition.series?.[0] ?? work?.series?.[0],
+        title: edition.title,
+      }),
+      // Language keys look like "/languages/eng"
+      language: languageName(edition.languages?.[0]?.key?.split("/").pop()),
+      // Descriptions are either a string or a { type, value } object
+      description:
+        edition.description?.value ??
+        edition.description ??
+        work?.description?.value ??
+        work?.description ??
+        "",
+      info_link: buildURL(config.endpoints, "open_library", edition.key),
+      full_record: { edition, work },
+    };
+  },
+};
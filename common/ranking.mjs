@@ -0,0 +1,173 @@
+import { cleanISBN, isbn10To13, isValidISBN10, isValidISBN13 } from "./isbn.mjs";
+import { languageName } from "./book-record.mjs";
+
+/**
+ * Ranking for the results of an ISBN lookup.
+ *
+ * Sources don't always return the scanned book first. A search can return several volumes, some of them for other
+ * editions or unrelated works, so every result is scored before one is picked. The score doubles as the book
+ * record's confidence.
+ */
+
+/**
+ * Results scoring below this are treated as no match. rankMatches() only considers results that list the ISBN, so
+ * this weeds out the ones that have it but little else.
+ */
+export const MIN_CONFIDENCE = 0.3;
+
+/**
+ * How much each signal counts towards the score. They add up to 1.
+ */
+const WEIGHTS = {
+  isbn: 0.6,
+  language: 0.15,
+  completeness: 0.25,
+};
+
+/**
+ * The language most books in an ISBN registration group are published in. Only groups with one clear language are
+ * listed; longer prefixes are checked first.
+ */
+const GROUP_LANGUAGES = [
+  ["97910", "fr"],
+  ["97911", "ko"],
+  ["97912", "it"],
+  ["9798", "en"],
+  ["97884", "es"],
+  ["97885", "pt"],
+  ["97888", "it"],
+  ["97890", "nl"],
+  ["97894", "nl"],
+  ["97891", "sv"],
+  ["97883", "pl"],
+  ["97887", "da"],
+  ["97882", "no"],
+  ["978972", "pt"],
+  ["9780", "en"],
+  ["9781", "en"],
+  ["9782", "fr"],
+  ["9783", "de"],
+  ["9784", "ja"],
+  ["9785", "ru"],
+  ["9787", "zh"],
+].sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Returns the language code an ISBN's registration group suggests, or null if the group doesn't have one.
+ */
+export function isbnLanguage(isbn) {
+  return (
+    GROUP_LANGUAGES.find(([prefix]) => String(isbn).startsWith(prefix))?.[1] ??
+    null
+  );
+}
+
+/**
+ * Turns an identifier a source lists ("0-316-76917-7", "9780316769174 (pbk.)") into an ISBN-13, or null if it
+ * isn't one.
+ */
+function toISBN13(value) {
+  const number = cleanISBN(value).match(/^(\d{13}|\d{9}[\dX])/)?.[0] ?? "";
+
+  if (isValidISBN13(number)) {
+    return number;
+  }
+
+  return isValidISBN10(number) ? isbn10To13(number) : null;
+}
+
+/**
+ * Scores one result against the ISBN that was looked up, from 0 to 1.
+ *
+ * `summary` describes the result in source-independent terms: { isbns, language, details }, where `isbns` is every
+ * ISBN the result lists, `language` is a language code in any ISO 639 form, and `details` holds the values that
+ * make a record useful (title, authors, publisher, ...). Returns { confidence, reason, isbn_matched }, where
+ * `isbn_matched` says whether the result lists the ISBN.
+ */
+export function scoreMatch(summary, isbn) {
+  const reasons = [];
+  let score = 0;
+
+  const isbns = (summary.isbns ?? []).map(toISBN13).filter(Boolean);
+  const matched = isbns.includes(isbn);
+  if (matched) {
+    score += WEIGHTS.isbn;
+    reasons.push("ISBN matches");
+  } else {
+    reasons.push("ISBN not listed");
+  }
+
+  const expected = isbnLanguage(isbn);
+  const language = summary.language ? languageName(summary.language) : "";
+  if (expected && language) {
+    if (language === languageName(expected)) {
+      score += WEIGHTS.language;
+      reasons.push(`language matches (${language})`);
+    } else {
+      reasons.push(`language is ${language}, expected ${languageName(expected)}`);
+    }
+  } else {
+    // Nothing to compare, so don't count it either way
+    score += WEIGHTS.language / 2;
+  }
+
+  const details = summary.details ?? [];
+  const present = details.filter(
+    (value) =>
+      value !== undefined &&
+      value !== null &&
+      value !== "" &&
+      !(Array.isArray(value) && value.length === 0)
+  ).length;
+  if (details.length > 0) {
+    score += WEIGHTS.completeness * (present / details.length);
+    reasons.push(`${present} of ${details.length} details present`);
+  }
+
+  return {
+    confidence: Number(score.toFixed(2)),
+    reason: reasons.join("; "),
+    isbn_matched: matched,
+  };
+}
+
+/**
+ * Scores every result with scoreMatch() and returns the best one as { item, confidence, reason, isbn_matched }, or
+ * null if none reaches MIN_CONFIDENCE. `summarize(item)` turns a source's result into a summary. Results that can't
+ * be summarized (missing fields, unexpected shapes) are skipped instead of failing the lookup. On a tie, the earlier
+ * result wins, so the source's own ordering breaks ties.
+ *
+ * Results that don't list the ISBN are never picked. Language and completeness alone can score 0.4, so a complete
+ * record for an unrelated book would otherwise pass as a match.
+ */
+export function rankMatches(items, isbn, summarize) {
+  let best = null;
+
+  for (const item of items ?? []) {
+    let score;
+
+    try {
+      score = scoreMatch(summarize(item), isbn);
+    } catch (error) {
+      console.log(`Skipping a result that couldn't be scored: ${error.message}`);
+      continue;
+    }
+
+    if (!score.isbn_matched) {
+      continue;
+    }
+
+    if (!best || score.confidence > best.confidence) {
+      best = { item, ...score };
+    }
+  }
+
+  if (best && best.confidence < MIN_CONFIDENCE) {
+    console.log(
+      `Best result only scored ${best.confidence} (${best.reason}). Treating it as no match.`
+    );
+    return null;
+  }
+
+  return best;
+}
@@ -0,0 +1,198 @@
+import { BookScannerError } from "./errors.mjs";
+
+/**
+ * Scan-to-advance reading status: moving a book along the user's reading stages (e.g. To Read → Reading →
+ * Finished) by scanning it again, and stamping the Started and Finished dates on the way.
+ */
+
+/**
+ * What a scan does, sent as `action` in the trigger body.
+ *
+ * - add: add the book (the default). New pages start in the first reading stage.
+ * - start: move the book to the second stage and set its Started date. Starting a finished book counts as a re-read.
+ * - finish: move the book to the last stage and set its Finished date.
+ * - auto: move the book to the stage after its current one. From the last stage, it starts a re-read.
+ */
+export const READING_ACTIONS = ["add", "start", "finish", "auto"];
+
+/**
+ * The default reading stages, in order. The second stage is where a book is started and the last is where it's
+ * finished.
+ */
+export const DEFAULT_READING_STAGES = ["To Read", "Reading", "Finished"];
+
+/**
+ * The property types each reading mapping prop accepts.
+ */
+const READING_PROPERTIES = {
+  reading_status: {
+    label: "Reading Status",
+    description: "The Status or Select property that tracks where you are with the book. Needed for the start, finish and auto scan actions.",
+    types: ["status", "select"],
+  },
+  started_date: {
+    label: "Started Date",
+    description: "The Date property set when you start (or re-read) the book.",
+    types: ["date"],
+  },
+  finished_date: {
+    label: "Finished Date",
+    description: "The Date property set when you finish the book.",
+    types: ["date"],
+  },
+  reread_count: {
+    label: "Re-read Count",
+    description: "The Number property counting how many times you've re-read the book. Goes up by one each time you start a book you've already finished.",
+    types: ["number"],
+  },
+};
+
+/**
+ * Builds the step props for mapping the reading properties, each offering only the properties of a type it can use.
+ */
+export function buildReadingProps(properties) {
+  return Object.fromEntries(
+    Object.entries(READING_PROPERTIES).map(([key, field]) => [
+      key,
+      {
+        type: "string",
+        label: field.label,
+        description: field.description,
+        optional: true,
+        options: Object.keys(properties)
+          .filter((name) => field.types.includes(properties[name].type))
+          .map((name) => ({
+            label: name,
+            value: name,
+          })),
+      },
+    ])
+  );
+}
+
+/**
+ * Works out the date stamped on the Started and Finished properties, as YYYY-MM-DD. The scan's own `scannedAt` wins,
+ * since it was taken where the book was scanned. Otherwise it's today in `timeZone` (an IANA name, e.g.
+ * "America/Chicago"), or in the workflow's local time zone if that isn't set.
+ *
+ * Throws a BookScannerError with the code INVALID_TIME_ZONE if the time zone isn't one.
+ */
+export function getReadingDate({ scannedAt = null, timeZone = null } = {}) {
+  if (scannedAt) {
+    return scannedAt.substring(0, 10);
+  }
+
+  let parts;
+
+  try {
+    parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || undefined,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).formatToParts(new Date());
+  } catch (error) {
+    throw new BookScannerError(
+      `Unknown time zone "${timeZone}". Use a name like America/Chicago.`,
+      { code: "INVALID_TIME_ZONE", cause: error }
+    );
+  }
+
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return `${part("year")}-${part("month")}-${part("day")}`;
+}
+
+/**
+ * Returns the name of the option a status or select property value is set to, or "".
+ */
+function getOptionName(propertyValue) {
+  return propertyValue?.status?.name ?? propertyValue?.select?.name ?? "";
+}
+
+/**
+ * Works out which stage a book moves to. `current` is the book's current stage ("" for a new book). Returns the
+ * index of the new stage, or null if the action doesn't move the book.
+ */
+function nextStageIndex(action, stages, current) {
+  const index = stages.findIndex(
+    (stage) => stage.toLowerCase() === current.toLowerCase()
+  );
+  const last = stages.length - 1;
+
+  switch (action) {
+    case "add":
+      // Only new books (and books without a stage) get the first stage; existing stages are left alone
+      return index === -1 ? 0 : null;
+    case "start":
+      return index === Math.min(1, last) ? null : Math.min(1, last);
+    case "finish":
+      return index === last ? null : last;
+    case "auto":
+      if (index === -1) {
+        return 0;
+      }
+
+      return index === last ? Math.min(1, last) : index + 1;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds the property values that move a book to its next reading stage.
+ *
+ * `page` is the book's existing page, or null for a new book. `mapping` holds the reading props (reading_status,
+ * started_date, finished_date, reread_count), and `schema` is the database's properties. `today` is the ISO date
+ * stamped on the Started and Finished properties.
+ *
+ * Returns { properties, from, to, rereads, changed }, where `changed` is false (and `properties` empty) if the action
+ * doesn't move the book, e.g. finishing a book that's already finished. Returns null if no Reading Status property
+ * is mapped.
+ */
+export function buildReadingTransition(
+  action,
+  { page = null, schema, mapping, stages = DEFAULT_READING_STAGES, today }
+) {
+  const statusProperty = mapping.reading_status;
+
+  if (!statusProperty || !schema[statusProperty] || stages.length === 0) {
+    return null;
+  }
+
+  const from = getOptionName(page?.properties?.[statusProperty]);
+  const toIndex = nextStageIndex(action, stages, from);
+
+  let rereads = page?.properties?.[mapping.reread_count]?.number ?? 0;
+
+  if (toIndex === null) {
+    return { properties: {}, from, to: from, rereads, changed: false };
+  }
+
+  const to = stages[toIndex];
+  const last = stages.length - 1;
+  const type = schema[statusProperty].type;
+
+  const properties = {
+    [statusProperty]: { [type]: { name: to } },
+  };
+
+  const started = toIndex === Math.min(1, last) && last > 0;
+  const finished = toIndex === last && last > 0;
+  const rereading =
+    started && from.toLowerCase() === stages[last].toLowerCase();
+
+  if (started && mapping.started_date && schema[mapping.started_date]) {
+    properties[mapping.started_date] = { date: { start: today } };
+  }
+
+  if (finished && mapping.finished_date && schema[mapping.finished_date]) {
+    properties[mapping.finished_date] = { date: { start: today } };
+  }
+
+  if (rereading && mapping.reread_count && schema[mapping.reread_count]) {
+    rereads += 1;
+    properties[mapping.reread_count] = { number: rereads };
+  }
+
+  return { properties, from, to, rereads, changed: true };
+}
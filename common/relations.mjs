@@ -0,0 +1,268 @@
+import { authorKey, getAuthorNames } from "./authors.mjs";
+import { getPlainText } from "./duplicates.mjs";
+import { callNotion } from "./http.mjs";
+import { toRichText } from "./notion-properties.mjs";
+import { seriesKey } from "./series.mjs";
+import { normalizeText } from "./text.mjs";
+
+/**
+ * Helpers for relating book pages to pages in another database (e.g. Authors), creating those pages as needed.
+ */
+
+/**
+ * The databases a book can be related to. Each has a step prop for the database (`databaseProp`) and one for the
+ * Books database's relation property (`relationProp`). `names(book)` lists the pages the book should link to, and
+ * `keyOf(name)` decides which names count as the same page.
+ */
+export const RELATIONS = {
+  authors: {
+    databaseProp: "authors_database",
+    relationProp: "authors_relation",
+    label: "Authors (Relation)",
+    description: "Select the relation property that links books to the Authors database.",
+    names: getAuthorNames,
+    keyOf: authorKey,
+  },
+  series: {
+    databaseProp: "series_database",
+    relationProp: "series_relation",
+    label: "Series (Relation)",
+    description: "Select the relation property that links books to the Series database.",
+    names: (book) => (book.series_name ? [book.series_name] : []),
+    keyOf: seriesKey,
+  },
+};
+
+/**
+ * Lists the databases the Notion connection can see, as paginated prop options.
+ */
+export async function listDatabaseOptions(notion, { query, prevContext }) {
+  const start_cursor = prevContext?.cursor;
+
+  const response = await notion.search({
+    ...(query ? { query } : {}),
+    ...(start_cursor ? { start_cursor } : {}),
+    page_size: 50,
+    filter: {
+      value: "database",
+      property: "object",
+    },
+    sorts: [
+      {
+        direction: "descending",
+        property: "last_edited_time",
+      },
+    ],
+  });
+
+  return {
+    context: {
+      cursor: response.next_cursor,
+    },
+    options: response.results.map((db) => ({
+      label: db.title?.[0]?.plain_text,
+      value: db.id,
+    })),
+  };
+}
+
+/**
+ * Returns true if two Notion IDs point at the same object. IDs come back with dashes from some endpoints and
+ * without them from others.
+ */
+export function isSameID(a, b) {
+  const clean = (id) => String(id ?? "").replace(/-/g, "").toLowerCase();
+  return clean(a) !== "" && clean(a) === clean(b);
+}
+
+/**
+ * Builds a step prop for picking the relation property that points at `databaseID`. Returns null if the books
+ * database has no such property.
+ */
+export function buildRelationProp(properties, databaseID, { label, description }) {
+  const relationProperties = Object.keys(properties).filter(
+    (key) =>
+      properties[key].type === "relation" &&
+      isSameID(properties[key].relation?.database_id, databaseID)
+  );
+
+  if (relationProperties.length === 0) {
+    return null;
+  }
+
+  return {
+    type: "string",
+    label,
+    description,
+    optional: true,
+    options: relationProperties.map((prop) => ({
+      label: prop,
+      value: prop,
+    })),
+  };
+}
+
+/**
+ * Creates a function that turns a name into the ID of a page in `databaseID`, finding an existing page whose title
+ * has the same key or creating one. `keyOf(name)` decides which names count as the same.
+ *
+ * Results are remembered for the life of the resolver, and concurrent calls for the same key share one request, so
+ * a batch with several books by one author never creates that author twice.
+ */
+export function createPageResolver(notion, { databaseID, keyOf = normalizeText }) {
+  const pages = new Map();
+  let titleProperty = null;
+
+  const getTitleProperty = () => {
+    titleProperty ??= callNotion(
+      () => notion.databases.retrieve({ database_id: databaseID }),
+      { label: "Retrieving the related database" }
+    ).then((database) =>
+      Object.keys(database.properties).find(
+        (key) => database.properties[key].type === "title"
+      )
+    );
+
+    return titleProperty;
+  };
+
+  // Pages through every page the title filter matches until one has the same key
+  const findPage = async (property, filter, key, label) => {
+    let cursor = null;
+
+    do {
+      const response = await callNotion(
+        () =>
+          notion.databases.query({
+            database_id: databaseID,
+            filter: {
+              property,
+              title: filter,
+            },
+            ...(cursor ? { start_cursor: cursor } : {}),
+            page_size: 100,
+          }),
+        { label }
+      );
+
+      const match = response.results.find(
+        (page) => keyOf(getPlainText(page.properties[property])) === key
+      );
+
+      if (match) {
+        return match;
+      }
+
+      cursor = response.has_more ? response.next_cursor : null;
+    } while (cursor);
+
+    return null;
+  };
+
+  const findOrCreate = async (name, key) => {
+    const property = await getTitleProperty();
+
+    // Try the exact title first. Notion can't filter on a normalized value, so if that misses, narrow the query
+    // down with the longest word of the name, then compare keys here.
+    const [word] = name
+      .split(/[^\p{L}\p{N}]+/u)
+      .sort((a, b) => b.length - a.length);
+
+    const match =
+      (await findPage(property, { equals: name }, key, `Looking for a page titled "${name}"`)) ??
+      (await findPage(property, { contains: word }, key, `Looking for a page for "${name}"`));
+
+    if (match) {
+      console.log(`Found existing page for "${name}" (${match.id}).`);
+      return match.id;
+    }
+
+    console.log(`Creating a page for "${name}".`);
+    const page = await callNotion(
+      () =>
+        notion.pages.create({
+          parent: {
+            database_id: databaseID,
+          },
+          properties: {
+            [property]: {
+              title: toRichText(name),
+            },
+          },
+        }),
+      { label: `Creating a page for "${name}"` }
+    );
+
+    return page.id;
+  };
+
+  return async function resolve(name) {
+    const key = keyOf(name);
+
+    if (!pages.has(key)) {
+      pages.set(
+        key,
+        findOrCreate(name, key).catch((error) => {
+          // Don't remember failures, so a later call can try again
+          pages.delete(key);
+          throw error;
+        })
+      );
+    }
+
+    return pages.get(key);
+  };
+}
+
+/**
+ * Builds the relation property props for every related database the user has picked. `properties` is the Books
+ * database's schema and `props` the step's props.
+ */
+export function buildRelationProps(properties, props) {
+  return Object.fromEntries(
+    Object.values(RELATIONS)
+      .filter((relation) => props[relation.databaseProp])
+      .map((relation) => [
+        relation.relationProp,
+        buildRelationProp(properties, props[relation.databaseProp], relation),
+      ])
+      .filter(([, prop]) => prop)
+  );
+}
+
+/**
+ * Returns the relations to set on a book's page: { key, databaseID, property, names, keyOf } for each related
+ * database that's fully set up and has something to link to.
+ */
+export function getRelationLinks(props, book) {
+  return Object.entries(RELATIONS)
+    .map(([key, relation]) => ({
+      key,
+      databaseID: props[relation.databaseProp],
+      property: props[relation.relationProp],
+      names: relation.names(book),
+      keyOf: relation.keyOf,
+    }))
+    .filter((link) => link.databaseID && link.property && link.names.length > 0);
+}
+
+/**
+ * Adds a relation to a pages.create payload, resolving each name to a page ID with `resolve` (see
+ * createPageResolver()).
+ */
+export async function applyRelation(data, property, names, resolve) {
+  const pageIDs = [];
+  for (const name of names) {
+    pageIDs.push(await resolve(name));
+  }
+
+  return {
+    ...data,
+    properties: {
+      ...data.properties,
+      [property]: {
+        relation: pageIDs.map((id) => ({ id })),
+      },
+    },
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * The JSON response sent back to the scanning client (e.g. an iOS Shortcut) through $.respond().
+ *
+ * Every book is described the same way, whether it came through Fetch_Book and Create_Notion_Page or through the
+ * batch action:
+ *
+ * { status, isbn, title, author, cover_url, page_url, message }
+ *
+ * `message` is a short sentence the client can show in a notification. The batch response wraps one of these per
+ * book in `books`.
+ */
+
+/**
+ * The HTTP status code sent for each book status.
+ */
+export const HTTP_STATUS = {
+  created: 201,
+  updated: 200,
+  duplicate: 200,
+  previewed: 200,
+  not_found: 404,
+  invalid_isbn: 400,
+  invalid_request: 400,
+  rate_limited: 429,
+  unavailable: 503,
+  error: 500,
+};
+
+/**
+ * Maps error codes (see errors.mjs) to book statuses. Anything else is an "error".
+ */
+const ERROR_STATUS = {
+  INVALID_ISBN: "invalid_isbn",
+  INVALID_PAYLOAD: "invalid_request",
+  RATE_LIMITED: "rate_limited",
+  PROVIDER_DOWN: "unavailable",
+};
+
+/**
+ * Quotes a book's title for a message, adding the author if there is one.
+ */
+function describeTitle(book) {
+  const title = book.title ? `"${book.title}"` : "The book";
+  return book.author ? `${title} by ${book.author}` : title;
+}
+
+/**
+ * Builds the default message for a book status.
+ */
+function defaultMessage(status, book, isbn) {
+  switch (status) {
+    case "created":
+      return `Added ${describeTitle(book)}.`;
+    case "updated":
+      return `Updated ${describeTitle(book)}.`;
+    case "duplicate":
+      return `${describeTitle(book)} is already in your library.`;
+    case "previewed":
+      return `Dry run for ${describeTitle(book)}. Nothing was saved.`;
+    case "not_found":
+      return `Couldn't find ${isbn ? `a book with ISBN ${isbn}` : describeTitle(book)}. Added a placeholder page you can fill in.`;
+    default:
+      return "Something went wrong.";
+  }
+}
+
+/**
+ * Describes a book that was handled. `book` is the book record, `pageURL` the Notion page's URL, and `message`
+ * overrides the default message.
+ */
+export function describeBook({ status, isbn, book = {}, pageURL = null, message }) {
+  return {
+    status,
+    isbn: isbn ?? book.isbn_13 ?? null,
+    title: book.title ?? null,
+    author: book.author ?? null,
+    cover_url: book.cover_image ?? null,
+    page_url: pageURL,
+    message: message ?? defaultMessage(status, book, isbn ?? book.isbn_13),
+  };
+}
+
+/**
+ * Describes a book that couldn't be handled because of `error`. Payload errors include their field-level `errors`.
+ */
+export function describeError(error, { isbn = null } = {}) {
+  const status = ERROR_STATUS[error.code] ?? "error";
+
+  return {
+    status,
+    isbn: isbn ?? error.input ?? null,
+    title: null,
+    author: null,
+    cover_url: null,
+    page_url: null,
+    message: error.message,
+    ...(error.errors && { errors: error.errors }),
+  };
+}
+
+/**
+ * Wraps a book description in a $.respond() payload.
+ */
+export function buildResponse(description) {
+  return {
+    status: HTTP_STATUS[description.status] ?? 500,
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: description,
+  };
+}
+
+/**
+ * Builds the $.respond() payload for a batch. `books` are book descriptions and `summary` counts them by status.
+ *
+ * The HTTP status is 200 if every book was handled, 207 (Multi-Status) if some failed, and the shared failure
+ * status (e.g. 400) if they all failed the same way.
+ */
+export function buildBatchResponse(books, summary) {
+  const failed = books.filter((book) => (HTTP_STATUS[book.status] ?? 500) >= 400);
+  const statuses = [...new Set(failed.map((book) => HTTP_STATUS[book.status] ?? 500))];
+
+  const status =
+    failed.length === 0
+      ? 200
+      : failed.length < books.length
+      ? 207
+      : statuses.length === 1
+      ? statuses[0]
+      : 500;
+
+  const counts = Object.entries(summary)
+    .filter(([, count]) => count > 0)
+    .map(([key, count]) => `${count} ${key.replace(/_/g, " ").replace("isbn", "ISBN")}`);
+
+  return {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: {
+      status: failed.length === 0 ? "ok" : failed.length < books.length ? "partial" : "failed",
+      summary,
+      message:
+        books.length === 0
+          ? "No books to add."
+          : `Processed ${books.length} book${books.length === 1 ? "" : "s"}: ${counts.join(", ")}.`,
+      books,
+    },
+  };
+}
@@ -0,0 +1,327 @@
+import { BookScannerError } from "./errors.mjs";
+import { buildFillEmptyUpdate, buildOverwriteUpdate } from "./duplicates.mjs";
+import { buildBookProperties } from "./notion-properties.mjs";
+import { applyCoverUpload } from "./notion-files.mjs";
+import { buildPageBody, chunkBlocks } from "./page-body.mjs";
+import { buildPreview } from "./preview.mjs";
+import { buildReadingTransition } from "./reading.mjs";
+import { describeBook } from "./response.mjs";
+
+/**
+ * Saves a looked-up book to the Notion database: the flow shared by the Create_Notion_Page step and the batch action.
+ *
+ * The flow builds the page properties, checks for a page that's already there, applies the duplicate mode or reading
+ * action, links related pages, uploads the cover and writes the page body. Each step passes its own Notion calls in
+ * `calls`, so the batch action can send them through its rate limiter:
+ *
+ * {
+ *   findDuplicate(book),          // resolves to { page, matched_by } or null (see duplicates.mjs)
+ *   createPage(data),             // pages.create
+ *   updatePage(data),             // pages.update
+ *   appendBlocks(pageID, blocks), // blocks.children.append, in batches
+ *   uploadCover(book),            // resolves to a file upload ID (see notion-files.mjs)
+ *   linkPages(data, link),        // resolves to `data` with the relation applied (see relations.mjs)
+ * }
+ */
+
+/**
+ * Moves a reading transition into the `reading` note returned with the result.
+ */
+function describeTransition(action, transition) {
+  return {
+    action,
+    from: transition.from,
+    to: transition.to,
+    rereads: transition.rereads,
+  };
+}
+
+/**
+ * Adds the book to the database (or moves it to its next reading stage), returning Notion's response with a note of
+ * what was done in `action`. In a dry run, returns a preview of the request instead of sending it.
+ *
+ * `reading` holds the reading props, stages and today's date (see reading.mjs), and `problems` lists mapping problems
+ * to show in a dry run's preview. `extraProperties` are set alongside the book's own properties, e.g. the reading
+ * stage and dates an imported row already has (see imports.mjs). `endpoints` are the step's resolved endpoints,
+ * which the page body's links point at (see page-body.mjs).
+ */
+export async function saveBook(
+  book,
+  {
+    schema,
+    databaseID,
+    mapping,
+    calls,
+    action = "add",
+    mode = "skip",
+    dryRun = false,
+    reading = null,
+    extraProperties = {},
+    pageBody,
+    endpoints = null,
+    uploadCover = false,
+    coverProperty = null,
+    links = [],
+    problems = [],
+  }
+) {
+  if (action !== "add" && !reading?.mapping.reading_status) {
+    throw new BookScannerError(
+      `The "${action}" action needs a Reading Status property. Map one in the step's settings.`,
+      { code: "READING_STATUS_NOT_MAPPED" }
+    );
+  }
+
+  // Build the page properties. Each mapped field is converted to its property's type; anything that can't be
+  // converted is skipped with a warning rather than failing the page.
+  const { properties, warnings } = buildBookProperties(schema, mapping, book);
+
+  let data = {
+    parent: {
+      database_id: databaseID,
+    },
+    ...(book.cover_image && {
+      cover: {
+        external: {
+          url: book.cover_image,
+        },
+      },
+    }),
+    properties: {
+      ...properties,
+      ...extraProperties,
+    },
+  };
+
+  // Check whether the book is already in the database, unless we've been told to always create a new page. Reading
+  // actions always check, since they're meant for books that are already there.
+  const existing =
+    mode === "create" && action === "add" ? null : await calls.findDuplicate(book);
+
+  // In a dry run, each path below returns a preview of the request it would send, instead of sending it
+  const preview = (options) => ({
+    action: "dry_run",
+    preview: buildPreview({
+      ...options,
+      problems: [...warnings, ...problems],
+      existing,
+      schema,
+    }),
+    warnings,
+  });
+
+  // Swaps the external cover URL for an uploaded copy, if the user wants one. If the upload fails, keep the link. This
+  // is only called once the page is about to be written, so skipped books and dry runs never leave an unused upload.
+  const withUploadedCover = async (data) => {
+    if (!uploadCover || !book.cover_image) {
+      return data;
+    }
+
+    try {
+      const fileUploadID = await calls.uploadCover(book);
+      return applyCoverUpload(data, fileUploadID, coverProperty);
+    } catch (error) {
+      const message = `Couldn't upload the cover image to Notion, so it's linked instead: ${error.message}`;
+      console.warn(message);
+      warnings.push(message);
+      return data;
+    }
+  };
+
+  // Scanning a book that's already in the database with a reading action only moves it to its next stage
+  if (existing && action !== "add") {
+    const transition = buildReadingTransition(action, {
+      ...reading,
+      page: existing.page,
+      schema,
+    });
+
+    if (!transition) {
+      throw new BookScannerError(
+        `The Reading Status property "${reading.mapping.reading_status}" doesn't exist in the database.`,
+        { code: "READING_STATUS_NOT_MAPPED" }
+      );
+    }
+
+    const update = {
+      page_id: existing.page.id,
+      properties: transition.properties,
+    };
+
+    if (dryRun) {
+      return {
+        ...preview({
+          would: transition.changed ? "advance" : "unchanged",
+          method: transition.changed ? "pages.update" : null,
+          payload: transition.changed ? update : null,
+        }),
+        reading: describeTransition(action, transition),
+      };
+    }
+
+    const response = transition.changed ? await calls.updatePage(update) : existing.page;
+
+    console.log(
+      transition.changed
+        ? `Moved the book from "${transition.from || "no stage"}" to "${transition.to}".`
+        : `The book is already "${transition.from}", so it wasn't moved.`
+    );
+
+    return {
+      ...response,
+      action: transition.changed ? "advanced" : "unchanged",
+      existing_page_id: existing.page.id,
+      matched_by: existing.matched_by,
+      reading: describeTransition(action, transition),
+      warnings,
+    };
+  }
+
+  // New books start in their first reading stage, or the stage the action moves them to (e.g. "start" on a book that
+  // isn't in the database yet adds it as being read)
+  const transition =
+    existing || !reading
+      ? null
+      : buildReadingTransition(action, { ...reading, page: null, schema });
+
+  if (transition?.changed) {
+    data = {
+      ...data,
+      properties: {
+        ...data.properties,
+        ...transition.properties,
+      },
+    };
+  }
+
+  // Link the book to its authors and series, unless we're about to skip it. If that fails, the page is still saved.
+  // Dry runs only list the links, since finding a related page can create one.
+  if (!(existing && mode === "skip") && !dryRun) {
+    for (const link of links) {
+      try {
+        data = await calls.linkPages(data, link);
+      } catch (error) {
+        const message = `Couldn't link the book to its ${link.key}: ${error.message}`;
+        console.warn(message);
+        warnings.push(message);
+      }
+    }
+  }
+
+  if (!existing) {
+    // Build the page body. The first batch of blocks goes in with the page; any more are appended afterwards.
+    const [firstBlocks = [], ...moreBlocks] = chunkBlocks(
+      buildPageBody(book, pageBody, { endpoints })
+    );
+
+    const payload = {
+      ...data,
+      ...(firstBlocks.length > 0 && { children: firstBlocks }),
+    };
+
+    if (dryRun) {
+      return preview({
+        would: "create",
+        method: "pages.create",
+        payload,
+        relations: links,
+      });
+    }
+
+    const response = await calls.createPage(await withUploadedCover(payload));
+
+    if (moreBlocks.length > 0) {
+      await calls.appendBlocks(response.id, moreBlocks.flat());
+    }
+
+    return {
+      ...response,
+      action: "created",
+      existing_page_id: null,
+      ...(transition?.changed && { reading: describeTransition(action, transition) }),
+      warnings,
+    };
+  }
+
+  console.log(
+    `Found an existing page for this book (${existing.page.id}, matched by ${existing.matched_by}).`
+  );
+
+  if (mode === "skip") {
+    if (dryRun) {
+      return preview({ would: "skip" });
+    }
+
+    return {
+      ...existing.page,
+      action: "skipped",
+      existing_page_id: existing.page.id,
+      matched_by: existing.matched_by,
+      warnings,
+    };
+  }
+
+  const buildUpdate = (data) =>
+    mode === "overwrite"
+      ? buildOverwriteUpdate(existing.page, data)
+      : buildFillEmptyUpdate(existing.page, data);
+
+  const update = buildUpdate(data);
+
+  if (dryRun) {
+    return preview({
+      would: mode === "overwrite" ? "overwrite" : "update",
+      method: "pages.update",
+      payload: update,
+      relations: links,
+    });
+  }
+
+  // Only upload the cover if the update would actually set it, e.g. not when filling blanks on a page that has one
+  const setsCover = update.cover || (coverProperty && update.properties[coverProperty]);
+  const response = await calls.updatePage(
+    setsCover ? buildUpdate(await withUploadedCover(data)) : update
+  );
+
+  return {
+    ...response,
+    action: mode === "overwrite" ? "overwritten" : "updated",
+    existing_page_id: existing.page.id,
+    matched_by: existing.matched_by,
+    warnings,
+  };
+}
+
+/**
+ * Describes what saveBook() did, for the response sent to the scanning client (see response.mjs).
+ */
+export function describeSaveResult(book, result, { isbn } = {}) {
+  const status = {
+    created: book.db ? "created" : "not_found",
+    updated: "updated",
+    overwritten: "updated",
+    advanced: "updated",
+    skipped: "duplicate",
+    unchanged: "duplicate",
+    dry_run: "previewed",
+  }[result.action];
+
+  const message =
+    result.action === "dry_run"
+      ? `Dry run: would ${result.preview.would} "${book.title}". Nothing was saved.`
+      : result.action === "advanced"
+      ? `Moved "${book.title}" to ${result.reading.to}.`
+      : result.action === "unchanged"
+      ? `"${book.title}" is already marked ${result.reading.to}.`
+      : result.action === "skipped"
+      ? `"${book.title}" is already in the database (matched by ${result.matched_by}).`
+      : undefined;
+
+  return describeBook({
+    status,
+    isbn,
+    book,
+    pageURL: result.url ?? null,
+    message,
+  });
+}
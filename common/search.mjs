@@ -0,0 +1,59 @@
+import { containment, similarity } from "./text.mjs";
+
+/**
+ * Scoring for title/author search results.
+ *
+ * Free-text searches return loosely related books, so every candidate is scored against the user's hints and only
+ * a close enough match is accepted.
+ */
+
+/**
+ * Candidates scoring below this are treated as no match.
+ */
+export const MIN_SEARCH_SCORE = 0.6;
+
+/**
+ * Scores a search candidate ({ title, authors }) against the user's hints ({ title, author }), from 0 to 1.
+ *
+ * The title is compared with and without its subtitle, since users rarely type the subtitle. When an author hint
+ * is given, it counts for 30% of the score.
+ */
+export function scoreCandidate(query, candidate) {
+  const mainTitle = String(candidate.title ?? "").split(":")[0];
+
+  const titleScore = Math.max(
+    similarity(query.title, candidate.title),
+    similarity(query.title, mainTitle)
+  );
+
+  if (!query.author) {
+    return titleScore;
+  }
+
+  const authorScore = Math.max(
+    0,
+    ...(candidate.authors ?? []).map((author) =>
+      containment(query.author, author)
+    )
+  );
+
+  return titleScore * 0.7 + authorScore * 0.3;
+}
+
+/**
+ * Scores every candidate and returns the best one with its score, or null if none is close enough. On a tie, the
+ * earlier candidate (higher-priority provider, higher search rank) wins.
+ */
+export function pickBestCandidate(query, candidates) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    const score = scoreCandidate(query, candidate);
+
+    if (!best || score > best.score) {
+      best = { candidate, score };
+    }
+  }
+
+  return best && best.score >= MIN_SEARCH_SCORE ? best : null;
+}
@@ -0,0 +1,98 @@
+import { normalizeText } from "./text.mjs";
+
+/**
+ * Helpers for pulling series information out of provider data and book titles.
+ */
+
+/**
+ * Matches a series name followed by a position: "Discworld -- 12", "Harry Potter ; bk. 3", "The Expanse, #4",
+ * "The Wheel of Time Book 3", "Dune vol. 2". The name can be empty ("Book 3"). A number joined to the name with a
+ * single hyphen ("Catch-22") isn't a position.
+ */
+const NUMBERED_SERIES =
+  /^(.*?)(?:(?:^|\s*(?:--|[,;:])?\s*)(?:\b(?:bk|book|vol|volume|no|number|nr|part|pt)\b\.?|#)\s*|\s*(?:--|[,;:])\s*|\s+)(\d+(?:\.\d+)?)$/i;
+
+/**
+ * Tidies a series name: trims separators and a trailing "series" ("Discworld series" becomes "Discworld").
+ */
+function cleanSeriesName(name) {
+  const trimmed = String(name ?? "")
+    .replace(/^[\s,;:.#-]+|[\s,;:.#-]+$/g, "")
+    .trim();
+
+  return trimmed.replace(/\s+series$/i, "").trim() || trimmed;
+}
+
+/**
+ * Parses a series statement like the ones Open Library and the Library of Congress store ("Discworld -- 12") into
+ * { series_name, series_number }. Statements without a position only have a name; series_number is "".
+ */
+export function parseSeries(value) {
+  const text = String(value ?? "").trim();
+
+  if (text === "") {
+    return { series_name: "", series_number: "" };
+  }
+
+  const match = text.match(NUMBERED_SERIES);
+
+  if (!match) {
+    return { series_name: cleanSeriesName(text), series_number: "" };
+  }
+
+  return {
+    series_name: cleanSeriesName(match[1]),
+    series_number: parseFloat(match[2]),
+  };
+}
+
+/**
+ * Finds a series in a trailing parenthetical of a title: "Leviathan Wakes (The Expanse, #1)", "The Shadow Rising
+ * (The Wheel of Time, Book 4)", "Mort (Book 4)". Only parentheticals with a position count, so "(Penguin Classics)"
+ * is left alone. Returns { series_name, series_number }, or null if the title has no series.
+ */
+export function seriesFromTitle(title) {
+  const match = String(title ?? "").match(/\(([^()]+)\)\s*$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const series = parseSeries(match[1]);
+
+  return series.series_number === "" ? null : series;
+}
+
+/**
+ * Returns the key two series names are compared by, so "The Wheel of Time" and "Wheel of Time series" match.
+ */
+export function seriesKey(name) {
+  return normalizeText(cleanSeriesName(name)).replace(/^the /, "");
+}
+
+/**
+ * Works out a book's series for a provider's normalize(). Uses the provider's series statement when it has one,
+ * falling back to the title's parenthetical. `number` is a position the provider stores separately (Google Books
+ * has a position but no series name), used when the statement and title don't have one.
+ *
+ * Returns { series_name, series_number }, with "" for anything that isn't known.
+ */
+export function findSeries({ statement, title, number } = {}) {
+  const fromStatement = parseSeries(statement);
+  const series =
+    fromStatement.series_name !== ""
+      ? fromStatement
+      : seriesFromTitle(title) ?? fromStatement;
+
+  const fallbackNumber = parseFloat(number);
+
+  return {
+    series_name: series.series_name,
+    series_number:
+      series.series_number !== ""
+        ? series.series_number
+        : series.series_name !== "" && !isNaN(fallbackNumber)
+        ? fallbackNumber
+        : "",
+  };
+}
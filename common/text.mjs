@@ -0,0 +1,55 @@
+/**
+ * Text helpers for comparing titles and author names from different sources.
+ */
+
+/**
+ * Lowercases a string and strips accents, punctuation and extra whitespace, so "The Hobbit; Or, There and Back
+ * Again" and "the hobbit or there and back again" compare as equal.
+ */
+export function normalizeText(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Splits text into a set of normalized words.
+ */
+function tokens(value) {
+  return new Set(normalizeText(value).split(" ").filter(Boolean));
+}
+
+/**
+ * Dice similarity of the words in two strings: 1 when they share every word, 0 when they share none. Word order
+ * doesn't matter.
+ */
+export function similarity(a, b) {
+  const left = tokens(a);
+  const right = tokens(b);
+
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+
+  const shared = [...left].filter((token) => right.has(token)).length;
+  return (2 * shared) / (left.size + right.size);
+}
+
+/**
+ * How much of `query` is found in `value`, from 0 to 1. Used for author names, where a search for "Tolkien" should
+ * fully match "J. R. R. Tolkien".
+ */
+export function containment(query, value) {
+  const wanted = tokens(query);
+  const found = tokens(value);
+
+  if (wanted.size === 0) {
+    return 0;
+  }
+
+  return [...wanted].filter((token) => found.has(token)).length / wanted.size;
+}
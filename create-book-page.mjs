@@ -1,8 +1,51 @@
 // Import the official Notion SDK: https://github.com/makenotion/notion-sdk-js
-import { Client } from "@notionhq/client";
+// Pinned to v4, the last version with databases.query (v5 moved queries to dataSources.query) and fileUploads
+import { Client } from "@notionhq/client@4.0.2";
 
-// Import async-retry, which is used to retry requests if they fail: https://github.com/vercel/async-retry
-import retry from "async-retry";
+// Import the request helpers, which add timeouts, retries and typed errors to Notion requests and the cover download
+import { callNotion, fetchImage } from "./common/http.mjs";
+
+// Import the duplicate-detection helpers, which find a book that's already in the database
+import { DUPLICATE_MODES, findExistingPage } from "./common/duplicates.mjs";
+
+// Import the property helpers, which convert book fields to the value shape each Notion property type needs
+import {
+  ALLOWED_PROPERTY_TYPES,
+  buildFieldProps,
+  getFieldMapping,
+} from "./common/notion-properties.mjs";
+
+// Import the page body helpers, which turn the book record into Notion blocks
+import { BODY_SECTIONS, chunkBlocks } from "./common/page-body.mjs";
+
+// Import the file helpers, which upload the cover image to Notion
+import { uploadImage } from "./common/notion-files.mjs";
+
+// Import the reading helpers, which move a book along its reading stages when it's scanned again
+import {
+  DEFAULT_READING_STAGES,
+  buildReadingProps,
+  getReadingDate,
+} from "./common/reading.mjs";
+
+// Import the response helpers, which build the JSON response sent back to the scanning client
+import { buildResponse, describeError } from "./common/response.mjs";
+
+// Import the relation helpers, which link the book to pages in other databases (authors, series), creating them as needed
+import {
+  RELATIONS,
+  applyRelation,
+  buildRelationProps,
+  createPageResolver,
+  getRelationLinks,
+  listDatabaseOptions,
+} from "./common/relations.mjs";
+
+// Import the preview helpers, which describe what a dry run would send to Notion
+import { findMissingProperties } from "./common/preview.mjs";
+
+// Import the save flow, which adds the book to the database the same way the batch action does
+import { describeSaveResult, saveBook } from "./common/save-book.mjs";
 
 export default defineComponent({
   props: {
@@ -56,6 +99,83 @@ export default defineComponent({
       label: "Book Information",
       description: "Select the book information object from the previous step.",
     },
+    on_duplicate: {
+      type: "string",
+      label: "If the Book Already Exists",
+      description: "What to do when the database already has a page for this book. Pages are matched by the ISBN-13 property if you've mapped one, falling back to the title (and author, if mapped).",
+      options: DUPLICATE_MODES,
+      default: "skip",
+      optional: true,
+    },
+    page_body: {
+      type: "string[]",
+      label: "Page Body",
+      description: "Sections to add to the body of new pages, in order. Leave empty to create pages with properties only. The body is only added when a new page is created, never to an existing one.",
+      options: BODY_SECTIONS,
+      optional: true,
+    },
+    upload_cover: {
+      type: "boolean",
+      label: "Upload Cover Image to Notion",
+      description: "If enabled, the cover image is uploaded to Notion instead of being linked from its source. Uploaded covers keep working even if the original URL changes or disappears.",
+      default: false,
+      optional: true,
+    },
+    authors_database: {
+      type: "string",
+      label: "Authors Database",
+      description: "Optionally, set your Authors database to link each book to its authors. Each author is matched to an existing page by name (so \"J.R.R. Tolkien\" and \"J. R. R. Tolkien\" are the same person), and a page is created for any author who doesn't have one yet. Your Books database needs a relation property pointing at this database.",
+      optional: true,
+      async options({ query, prevContext }) {
+        const notion = new Client({
+          auth: this.notion.$auth.oauth_access_token,
+        });
+
+        return await listDatabaseOptions(notion, { query, prevContext });
+      },
+      reloadProps: true,
+    },
+    series_database: {
+      type: "string",
+      label: "Series Database",
+      description: "Optionally, set your Series database to link each book to its series. The series is matched to an existing page by name, and a page is created if there isn't one yet. Your Books database needs a relation property pointing at this database.",
+      optional: true,
+      async options({ query, prevContext }) {
+        const notion = new Client({
+          auth: this.notion.$auth.oauth_access_token,
+        });
+
+        return await listDatabaseOptions(notion, { query, prevContext });
+      },
+      reloadProps: true,
+    },
+    reading_stages: {
+      type: "string[]",
+      label: "Reading Stages",
+      description: "The options of your Reading Status property, in the order a book moves through them. New books start in the first stage. Scanning a book with `\"action\": \"start\"` moves it to the second stage, `\"finish\"` moves it to the last one, and `\"auto\"` moves it one stage along. Map the Reading Status property (and optionally the Started Date, Finished Date and Re-read Count properties) below.",
+      default: DEFAULT_READING_STAGES,
+      optional: true,
+    },
+    time_zone: {
+      type: "string",
+      label: "Time Zone",
+      description: "The time zone for the Started and Finished dates, e.g. `America/Chicago`, used when the scan doesn't send a `scanned_at` date. Defaults to the TZ environment variable, then the workflow's time zone (usually UTC).",
+      optional: true,
+    },
+    dry_run: {
+      type: "boolean",
+      label: "Dry Run",
+      description: "If enabled, the book is looked up and its page built as usual, but nothing is written to Notion. The step returns a `preview` with the exact request it would have sent, any problems with your property mapping, and, for an existing page, the changes the update would make. Sending `\"dry_run\": true` in the trigger body does the same for a single request.",
+      default: false,
+      optional: true,
+    },
+    send_response: {
+      type: "boolean",
+      label: "Send Response to Scanner",
+      description: "If enabled, the step sends a JSON response back to the client that sent the ISBN (e.g. your iOS Shortcut), with the book's title, author, cover and Notion page URL, and a message to show. Your HTTP trigger must be set to \"Return a custom response from your workflow\". Turn this on in Fetch_Book too, so errors get a response.",
+      default: false,
+      optional: true,
+    },
   },
   async additionalProps() {
     if (!this.databaseID) {
@@ -70,7 +190,7 @@ export default defineComponent({
       database_id: this.databaseID,
     });
 
-    const allowedTypes = ["title", "number", "rich_text", "files"];
+    const allowedTypes = ALLOWED_PROPERTY_TYPES;
 
     const properties = database.properties;
 
@@ -78,72 +198,19 @@ export default defineComponent({
       allowedTypes.includes(properties[key].type)
     );
 
+    // Every book field gets a dropdown of the database's properties. The value is converted to the chosen
+    // property's type when the page is built.
+    // If there's an Authors or Series database, the user also picks the relation property that points at it.
     return {
-      title: {
-        type: "string",
-        label: "Book Title",
-        description: "The title of the book.",
-        optional: false,
-        options: allowedProperties.map((prop) => ({
-          label: prop,
-          value: prop,
-        })),
-      },
-      author: {
-        type: "string",
-        label: "Author",
-        description: "The author of the book.",
-        optional: true,
-        options: allowedProperties.map((prop) => ({
-          label: prop,
-          value: prop,
-        })),
-      },
-      publish_year: {
-        type: "string",
-        label: "Publish Year",
-        description: "The publish year of the book.",
-        optional: true,
-        options: allowedProperties.map((prop) => ({
-          label: prop,
-          value: prop,
-        })),
-      },
-      page_count: {
-        type: "string",
-        label: "Page Count",
-        description: "The page count of the book.",
-        optional: true,
-        options: allowedProperties.map((prop) => ({
-          label: prop,
-          value: prop,
-        })),
-      },
-      isbn_13: {
-        type: "string",
-        label: "ISBN-13 Number",
-        description: "The ISBN-13 number of the book.",
-        optional: true,
-        options: allowedProperties.map((prop) => ({
-          label: prop,
-          value: prop,
-        })),
-      },
-      cover_image: {
-        type: "string",
-        label: "Book Cover Image",
-        description: "The file path to the book's cover image. You can select a Files & Media property here if you want to fill it with the book's cover image URL, which will also be set as the page's cover image.",
-        optional: true,
-        options: allowedProperties.map((prop) => ({
-          label: prop,
-          value: prop,
-        })),
-      },
+      ...buildFieldProps(allowedProperties),
+      ...buildReadingProps(properties),
+      ...buildRelationProps(properties, this),
     };
   },
   methods: {
     /**
-     *  Creates a new Notion page using the constructed data object
+     *  Creates a new Notion page using the constructed data object. Failures are thrown as typed errors (see
+     *  http.mjs).
      * */
     async createNotionPage(data) {
       // Create a new Notion client
@@ -155,115 +222,201 @@ export default defineComponent({
       console.log(`Data object for the new Notion page:`);
       console.dir(data);
 
-      // Build a request that will retry upon failure
-      try {
-        return await retry(
-          async (bail, attempt) => {
-            try {
-              console.log(`Creating new page in Notion (Attempt ${attempt})`);
-              const response = await notion.pages.create(data);
-              return response
-            } catch (error) {
-              if (error.status >= 400 && error.status < 409) {
-                bail(
-                  new Error(
-                    `Cannot retry due to error: ${error.message} (Status code: ${error.status})`
-                  )
-                );
-              } else {
-                console.error(
-                  `Retrying due to error: ${error.message} (Status code: ${error.status})`
-                );
-              }
-            }
-          },
-          {
-            retries: 3,
-          }
-        );
-      } catch (error) {
-        throw new Error(
-          `Failed to create the new page in Notion due to error: ${error.message}`
+      // Send the request, retrying if Notion is busy or rate limiting us
+      return await callNotion(() => notion.pages.create(data), {
+        label: "Creating new page in Notion",
+      });
+    },
+    /**
+     *  Updates an existing Notion page using the constructed update object
+     * */
+    async updateNotionPage(data) {
+      const notion = new Client({
+        auth: this.notion.$auth.oauth_access_token,
+      });
+
+      console.log(`Update object for the existing Notion page:`);
+      console.dir(data);
+
+      return await callNotion(() => notion.pages.update(data), {
+        label: "Updating existing page in Notion",
+      });
+    },
+    /**
+     *  Appends blocks to a page, in batches that fit Notion's per-request limit
+     * */
+    async appendBlocks(pageID, blocks) {
+      const notion = new Client({
+        auth: this.notion.$auth.oauth_access_token,
+      });
+
+      for (const children of chunkBlocks(blocks)) {
+        console.log(`Appending ${children.length} blocks to the page body.`);
+        await callNotion(
+          () =>
+            notion.blocks.children.append({
+              block_id: pageID,
+              children,
+            }),
+          { label: "Appending blocks to the page body" }
         );
       }
     },
+    /**
+     *  Downloads the book's cover image and uploads it to Notion, returning the file upload ID
+     * */
+    async uploadCover(book) {
+      const notion = new Client({
+        auth: this.notion.$auth.oauth_access_token,
+      });
+
+      console.log(`Uploading cover image to Notion: ${book.cover_image}`);
+      const image = await fetchImage(book.cover_image);
+
+      const contentType = image.contentType ?? "image/jpeg";
+      const extension = contentType === "image/png" ? "png" : "jpg";
+
+      return await uploadImage(notion, {
+        data: image.data,
+        contentType,
+        filename: `${book.isbn_13 ?? "cover"}.${extension}`,
+      });
+    },
+    /**
+     *  Relates the page to pages in another database, finding or creating a page for each name
+     * */
+    async linkPages(data, { databaseID, property, names, keyOf }) {
+      const notion = new Client({
+        auth: this.notion.$auth.oauth_access_token,
+      });
+
+      const resolve = createPageResolver(notion, { databaseID, keyOf });
+
+      return await applyRelation(data, property, names, resolve);
+    },
+    /**
+     *  Looks for a page that already exists for this book in the selected database
+     * */
+    async findDuplicate(book, schema) {
+      const notion = new Client({
+        auth: this.notion.$auth.oauth_access_token,
+      });
+
+      return await findExistingPage(notion, {
+        databaseID: this.databaseID,
+        schema,
+        mapping: {
+          title: this.title,
+          author: this.author,
+          isbn_13: this.isbn_13,
+        },
+        book,
+      });
+    },
+    /**
+     *  Lists the reading and relation properties that are mapped but missing from the database. Book fields are
+     *  checked when the page is built.
+     * */
+    findMappingProblems(schema) {
+      const relations = Object.values(RELATIONS).filter(
+        (relation) => this[relation.databaseProp]
+      );
+
+      return findMissingProperties(schema, {
+        "Reading Status": this.reading_status,
+        "Started Date": this.started_date,
+        "Finished Date": this.finished_date,
+        "Re-read Count": this.reread_count,
+        ...Object.fromEntries(
+          relations.map((relation) => [relation.label, this[relation.relationProp]])
+        ),
+      });
+    },
+    /**
+     *  Adds the book to the database (or moves it to its next reading stage) with the shared save flow (see
+     *  save-book.mjs), returning Notion's response with a note of what was done
+     * */
+    async saveBook(book, steps) {
+      // Work out what this scan should do: add the book (the default), or move it along its reading stages. Fetch_Book
+      // has already validated it.
+      const action = book.scan_action ?? "add";
+      const dryRun = this.dry_run === true || steps.trigger.event.body?.dry_run === true;
+
+      // Retrieve the database schema, so we know the type of each mapped property
+      const notion = new Client({
+        auth: this.notion.$auth.oauth_access_token,
+      });
+
+      const database = await callNotion(
+        () =>
+          notion.databases.retrieve({
+            database_id: this.databaseID,
+          }),
+        { label: "Retrieving the database schema" }
+      );
+
+      const schema = database.properties;
+
+      return await saveBook(book, {
+        schema,
+        databaseID: this.databaseID,
+        mapping: getFieldMapping(this),
+        action,
+        mode: this.on_duplicate ?? "skip",
+        dryRun,
+        reading: {
+          mapping: {
+            reading_status: this.reading_status,
+            started_date: this.started_date,
+            finished_date: this.finished_date,
+            reread_count: this.reread_count,
+          },
+          stages: this.reading_stages?.length
+            ? this.reading_stages
+            : DEFAULT_READING_STAGES,
+          today: getReadingDate({
+            scannedAt: book.scanned_at,
+            timeZone: this.time_zone || process.env.TZ,
+          }),
+        },
+        pageBody: this.page_body,
+        uploadCover: this.upload_cover,
+        coverProperty: this.cover_image,
+        links: getRelationLinks(this, book),
+        problems: this.findMappingProblems(schema),
+        calls: {
+          findDuplicate: (book) => this.findDuplicate(book, schema),
+          createPage: (data) => this.createNotionPage(data),
+          updatePage: (data) => this.updateNotionPage(data),
+          appendBlocks: (pageID, blocks) => this.appendBlocks(pageID, blocks),
+          uploadCover: (book) => this.uploadCover(book),
+          linkPages: (data, link) => this.linkPages(data, link),
+        },
+      });
+    },
   },
   async run({ steps, $ }) {
     // Set an easily-referenced variable for the book object
     const book = this.book_info;
 
-    // Construct the new page object. Conditionally add properties if they are set by user AND have a value in the book object to set.
-    const data = {
-      parent: {
-        database_id: this.databaseID,
-      },
-      // We'll use short-circuit evaluation to conditionally add the cover and optional properties.
-      ...(book.cover_image && {
-        cover: {
-          external: {
-            url: book.cover_image,
-          },
-        },
-      }),
-      properties: {
-        [this.title]: {
-          title: [
-            {
-              text: {
-                content: book.title,
-              },
-            },
-          ],
-        },
-        ...(this.author &&
-          book.author && {
-            [this.author]: {
-              rich_text: [
-                {
-                  text: {
-                    content: book.author,
-                  },
-                },
-              ],
-            },
-          }),
-        ...(this.publish_year &&
-          book.publish_year && {
-            [this.publish_year]: {
-              number: book.publish_year,
-            },
-          }),
-        ...(this.page_count &&
-          book.page_count && {
-            [this.page_count]: {
-              number: book.page_count,
-            },
-          }),
-        ...(this.isbn_13 &&
-          book.isbn_13 && {
-            [this.isbn_13]: {
-              number: book.isbn_13,
-            },
-          }),
-        ...(this.cover_image && book.cover_image && {
-          [this.cover_image]: {
-            files: [
-              {
-                name: "Cover Image",
-                external: {
-                  url: book.cover_image,
-                }
-              }
-            ]
-          }
-        })
-      },
-    };
+    try {
+      const result = await this.saveBook(book, steps);
+
+      // Tell the scanning client what happened, if the trigger is set up to wait for a response
+      if (this.send_response) {
+        await $.respond(buildResponse(describeSaveResult(book, result)));
+      }
 
-    // Add the new page to the database
-    const response = await this.createNotionPage(data);
+      return result;
+    } catch (error) {
+      if (this.send_response) {
+        await $.respond({
+          immediate: true,
+          ...buildResponse(describeError(error, { isbn: book?.isbn_13 })),
+        });
+      }
 
-    // Return the response from Notion
-    return response;
+      throw error;
+    }
   },
 });
\ No newline at end of file
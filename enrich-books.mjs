@@ -0,0 +1,403 @@
+// Import the official Notion SDK: https://github.com/makenotion/notion-sdk-js
+// Pinned to v4, the last version with databases.query (v5 moved queries to dataSources.query) and fileUploads
+import { Client } from "@notionhq/client@4.0.2";
+
+// Import the lookup cache, which keeps provider results per ISBN so rescans don't hit the APIs again
+import { CACHE_PROPS, createCacheFromProps } from "./common/cache.mjs";
+
+// Import the endpoint helpers, which let each source's base URL be swapped for a mirror or a stub server
+import {
+	ENDPOINT_PROPS,
+	assertEndpointsHealthy,
+	resolveEndpoints,
+} from "./common/endpoints.mjs";
+
+// Import the dump helpers, which point the Open Library (Local Dump) source at a database built from Open Library's data dumps
+import { DUMP_PROPS } from "./common/open-library-dump.mjs";
+
+// Import the provider registry, which looks the book up in each configured source in priority order
+import {
+	DEFAULT_PROVIDER_ORDER,
+	getProviderOptions,
+	resolveProviders,
+} from "./common/providers/index.mjs";
+
+// Import the duplicate-detection helpers, which narrow an update down to the page's blank properties
+import { buildFillEmptyUpdate } from "./common/duplicates.mjs";
+
+// Import the property helpers, which convert book fields to the value shape each Notion property type needs
+import {
+	ALLOWED_PROPERTY_TYPES,
+	BOOK_FIELDS,
+	buildFieldProps,
+	getFieldMapping,
+	buildBookProperties,
+} from "./common/notion-properties.mjs";
+
+// Import the preview helpers, which list what an update changes
+import { diffProperties } from "./common/preview.mjs";
+
+// Import the enrichment helpers, which find pages with an ISBN but blank properties
+import {
+	buildHasISBNFilter,
+	findBlankFields,
+	readPageISBN,
+} from "./common/enrich.mjs";
+
+// Import the batch lookup helpers, which send every request through a rate limiter for its service, so pages can be checked in parallel
+import { createBatchLookup, sendNotionRequest } from "./common/batch.mjs";
+
+/**
+ * Goal: Fill in books that were added before a property was mapped, or while a source was down. The Create_Notion_Page step only ever creates, so those pages would otherwise stay incomplete.
+ *
+ * Only blank properties are filled. Anything already on a page, including anything I've edited by hand, is left alone.
+ */
+
+/**
+ * The most pages Notion returns per query.
+ */
+const MAX_PAGE_SIZE = 100;
+
+export default {
+	name: "Notion Book Enricher",
+	description:
+		"Finds books in your Notion Books database that have an ISBN but blank properties, looks them up again, and fills in only the blanks.",
+	key: "notion-book-enricher",
+	version: "0.0.1",
+	type: "action",
+	props: {
+		google_books_key: {
+			type: "string",
+			label: "Google Books API Key",
+			description: `If you'd like to use the Google Books API to fetch book data, either enter your Google Books API key here or store is as an environment variable with the name GOOGLE_BOOKS.
+            
+            You can get a Google Books API key by following the instructions here: https://developers.google.com/books/docs/v1/using#APIKey.
+            
+            If you don't enter a key here or store on as an environment variable named GOOGLE_BOOKS, this step will skip Google Books and use the other sources you've selected.`,
+			optional: true,
+			secret: true,
+		},
+		providers: {
+			type: "string[]",
+			label: "Book Data Sources",
+			description: `The sources to search for book data, in priority order. The first source that has the book wins. Remove a source to turn it off entirely.
+            
+            Google Books is skipped if no API key is set, and Open Library (Local Dump) if no dump database is set.`,
+			options: getProviderOptions(),
+			default: DEFAULT_PROVIDER_ORDER,
+			optional: true,
+		},
+		merge_fields: {
+			type: "boolean",
+			label: "Merge Fields Across Sources",
+			description:
+				"If enabled, every source that has the book is searched, and each field is filled from the best source that has a value for it. If disabled, the search stops at the first source that has the book.",
+			default: true,
+			optional: true,
+		},
+		...CACHE_PROPS,
+		...ENDPOINT_PROPS,
+		...DUMP_PROPS,
+		notion: {
+			type: "app",
+			app: "notion",
+		},
+		databaseID: {
+			type: "string",
+			label: "Books Database",
+			description: "Set you Books database.",
+			async options({ query, prevContext }) {
+				const notion = new Client({
+					auth: this.notion.$auth.oauth_access_token,
+				});
+
+				let start_cursor = prevContext?.cursor;
+
+				const response = await notion.search({
+					...(query ? { query } : {}),
+					...(start_cursor ? { start_cursor } : {}),
+					page_size: 50,
+					filter: {
+						value: "database",
+						property: "object",
+					},
+					sorts: [
+						{
+							direction: "descending",
+							property: "last_edited_time",
+						},
+					],
+				});
+
+				const options = response.results.map((db) => ({
+					label: db.title?.[0]?.plain_text,
+					value: db.id,
+				}));
+
+				return {
+					context: {
+						cursor: response.next_cursor,
+					},
+					options,
+				};
+			},
+			reloadProps: true,
+		},
+		max_pages: {
+			type: "integer",
+			label: "Pages per Run",
+			description:
+				"The most pages to check in one run. Large libraries can take longer than your workflow's timeout, so they're worked through in chunks: each run returns a `next_cursor` to pick up from.",
+			default: 100,
+			min: 1,
+			optional: true,
+		},
+		start_cursor: {
+			type: "string",
+			label: "Resume From",
+			description:
+				"The `next_cursor` returned by an earlier run, to continue where it stopped. Leave empty to start from the beginning, or to use the saved cursor if you've set a Progress Data Store.",
+			optional: true,
+		},
+		progress_store: {
+			type: "data_store",
+			label: "Progress Data Store",
+			description:
+				"Optionally, a data store to save the cursor in between runs. Each run then continues where the last one stopped, which suits a scheduled workflow. Once the whole database has been checked, the next run starts over.",
+			optional: true,
+		},
+		fill_covers: {
+			type: "boolean",
+			label: "Fill Missing Covers",
+			description:
+				"If enabled, pages without a cover get one while their blank properties are being filled. A page whose only gap is its cover isn't looked up again, so it doesn't cost a lookup on every run.",
+			default: true,
+			optional: true,
+		},
+		dry_run: {
+			type: "boolean",
+			label: "Dry Run",
+			description:
+				"If enabled, the pages are checked and looked up as usual, but nothing is written to Notion. The results show what each page would get. The cursor in the Progress Data Store isn't moved either.",
+			default: false,
+			optional: true,
+		},
+	},
+	async additionalProps() {
+		if (!this.databaseID) {
+			return {};
+		}
+
+		const notion = new Client({
+			auth: this.notion.$auth.oauth_access_token,
+		});
+
+		const database = await notion.databases.retrieve({
+			database_id: this.databaseID,
+		});
+
+		const properties = database.properties;
+
+		const allowedProperties = Object.keys(properties).filter((key) =>
+			ALLOWED_PROPERTY_TYPES.includes(properties[key].type)
+		);
+
+		// Map the properties the same way as in Create_Notion_Page. Pages are found by the ISBN-13 property, and only mapped properties are filled.
+		return buildFieldProps(allowedProperties);
+	},
+	methods: {
+		/**
+		 * Checks a single page and fills in its blank properties. Never throws, so one bad page can't abort the rest of the run.
+		 */
+		async enrichPage(page, { schema, mapping, lookup, cache }) {
+			const result = {
+				page_id: page.id,
+				page_url: page.url,
+			};
+
+			const isbns = readPageISBN(page, mapping.isbn_13);
+
+			if (!isbns) {
+				return { ...result, status: "invalid_isbn" };
+			}
+
+			result.isbn = isbns.isbn_13;
+
+			const fillCovers = this.fill_covers ?? true;
+			const blanks = findBlankFields(page, schema, mapping, { cover: fillCovers });
+
+			// A missing cover alone isn't worth a lookup: a book with no cover found last time usually has none this time either
+			if (blanks.every((field) => field === "cover")) {
+				return { ...result, status: "complete" };
+			}
+
+			try {
+				const book = await lookup.fetchBook(isbns, { cache });
+
+				if (!book.db) {
+					return { ...result, status: "not_found", blank: blanks };
+				}
+
+				const { properties, warnings } = buildBookProperties(schema, mapping, book);
+
+				// Only the page's blank properties (and its cover, if it has none and covers are being filled) are written
+				const update = buildFillEmptyUpdate(page, {
+					...(fillCovers && book.cover_image && {
+						cover: {
+							external: {
+								url: book.cover_image,
+							},
+						},
+					}),
+					properties,
+				});
+
+				const changes = diffProperties(page, update.properties, schema);
+
+				if (update.cover) {
+					changes.push({ property: "(page cover)", current: null, proposed: book.cover_image });
+				}
+
+				if (changes.length === 0) {
+					return { ...result, status: "unchanged", blank: blanks, warnings };
+				}
+
+				if (!this.dry_run) {
+					const notion = new Client({
+						auth: this.notion.$auth.oauth_access_token,
+					});
+
+					await sendNotionRequest(`Filling in blank properties on page ${page.id}`, () =>
+						notion.pages.update(update)
+					);
+				}
+
+				return { ...result, status: "filled", title: book.title, changes, warnings };
+			} catch (error) {
+				console.error(`Failed to enrich page ${page.id}: ${error.message}`);
+
+				return { ...result, status: "error", message: error.message };
+			}
+		},
+		/**
+		 * Returns the cursor to start from: the Resume From prop, or the one saved in the Progress Data Store.
+		 */
+		async getStartCursor() {
+			if (this.start_cursor) {
+				return this.start_cursor;
+			}
+
+			return (await this.progress_store?.get(this.progressKey())) ?? undefined;
+		},
+		/**
+		 * The key the cursor is saved under in the Progress Data Store, one per database.
+		 */
+		progressKey() {
+			return `enrich-cursor:${this.databaseID}`;
+		},
+	},
+	async run({ $ }) {
+		// Set up the book lookups. If no Google Books API key is set, the Google Books provider is skipped.
+		const lookup = createBatchLookup(this);
+
+		// Check every endpoint the selected sources use before starting, if asked to
+		if (this.check_endpoints) {
+			await assertEndpointsHealthy(
+				resolveEndpoints(this),
+				resolveProviders(this.providers, lookup.config).map((provider) => provider.id)
+			);
+		}
+
+		const mapping = getFieldMapping(this);
+
+		if (!mapping.isbn_13) {
+			throw new Error(
+				`Map the ${BOOK_FIELDS.isbn_13.label} property, so books can be looked up by their ISBN.`
+			);
+		}
+
+		const notion = new Client({
+			auth: this.notion.$auth.oauth_access_token,
+		});
+
+		const database = await sendNotionRequest("Retrieving the database schema", () =>
+			notion.databases.retrieve({
+				database_id: this.databaseID,
+			})
+		);
+
+		const schema = database.properties;
+		const filter = buildHasISBNFilter(mapping.isbn_13, schema[mapping.isbn_13]?.type);
+
+		if (!filter) {
+			throw new Error(
+				`The "${mapping.isbn_13}" property can't hold an ISBN. Map a Text, Number or Title property instead.`
+			);
+		}
+
+		const cache = createCacheFromProps(this);
+		const maxPages = this.max_pages ?? 100;
+
+		// Query in batches no bigger than what's left to check, so the cursor always points at the next unchecked page
+		const results = [];
+		let cursor = await this.getStartCursor();
+
+		if (cursor) {
+			console.log(`Resuming from cursor: ${cursor}`);
+		}
+
+		do {
+			const response = await sendNotionRequest(`Querying the database`, () =>
+				notion.databases.query({
+					database_id: this.databaseID,
+					filter,
+					...(cursor ? { start_cursor: cursor } : {}),
+					page_size: Math.min(MAX_PAGE_SIZE, maxPages - results.length),
+				})
+			);
+
+			// Pages are checked in parallel. The limiters throttle the actual API calls.
+			results.push(
+				...(await Promise.all(
+					response.results.map((page) =>
+						this.enrichPage(page, { schema, mapping, lookup, cache })
+					)
+				))
+			);
+
+			// Save each batch's lookups to the cache in one write
+			await cache.flush();
+
+			cursor = response.has_more ? response.next_cursor : null;
+		} while (cursor && results.length < maxPages);
+
+		// Save where to pick up next time. Once the whole database has been checked, the next run starts over. A dry run
+		// leaves the saved cursor alone, so the next real run still fills the pages it only previewed.
+		if (this.progress_store && !this.dry_run) {
+			if (cursor) {
+				await this.progress_store.set(this.progressKey(), cursor);
+			} else {
+				await this.progress_store.delete(this.progressKey());
+			}
+		}
+
+		const summary = Object.fromEntries(
+			["filled", "unchanged", "complete", "not_found", "invalid_isbn", "error"].map((status) => [
+				status,
+				results.filter((result) => result.status === status).length,
+			])
+		);
+
+		$.export(
+			"$summary",
+			`Checked ${results.length} pages: ${this.dry_run ? "would fill" : "filled"} ${summary.filled}, ${summary.complete} already complete, ${summary.unchanged + summary.not_found} with nothing new to add, ${summary.error} failed.${cursor ? " More pages remain." : ""}`
+		);
+
+		return {
+			dry_run: Boolean(this.dry_run),
+			summary,
+			next_cursor: cursor,
+			results,
+		};
+	},
+};
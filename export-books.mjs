@@ -0,0 +1,229 @@
+// Import the official Notion SDK: https://github.com/makenotion/notion-sdk-js
+// Pinned to v4, the last version with databases.query (v5 moved queries to dataSources.query) and fileUploads
+import { Client } from "@notionhq/client@4.0.2";
+
+// Import the request helpers, which retry Notion requests and turn failures into typed errors
+import { callNotion } from "./common/http.mjs";
+
+// Import Node's file system module, which saves the export to /tmp
+import fs from "fs/promises";
+
+// Import the property helpers, which offer the same field mapping as Create_Notion_Page
+import {
+	ALLOWED_PROPERTY_TYPES,
+	buildFieldProps,
+	getFieldMapping,
+} from "./common/notion-properties.mjs";
+
+// Import the reading helpers, which offer the Reading Status, Started, Finished and Re-read Count mappings
+import { DEFAULT_READING_STAGES, buildReadingProps } from "./common/reading.mjs";
+
+// Import the export helpers, which read pages back into book records and write them out in each format
+import {
+	EXPORT_FORMATS,
+	pageToRecord,
+	recordsToCSV,
+	recordsToGoodreadsCSV,
+	recordsToJSONLines,
+} from "./common/exports.mjs";
+
+/**
+ * Goal: Get every book back out of the Books database in a portable file, for backups, moving to another app, or sharing a list.
+ *
+ * Pages are read through the same property mapping Create_Notion_Page writes with, so the columns are the book fields rather than whatever the properties happen to be called.
+ */
+
+export default {
+	name: "Notion Book Exporter",
+	description:
+		"Exports every book in your Notion Books database as CSV, JSON Lines, or a CSV that Goodreads can import.",
+	key: "notion-book-exporter",
+	version: "0.0.1",
+	type: "action",
+	props: {
+		notion: {
+			type: "app",
+			app: "notion",
+		},
+		databaseID: {
+			type: "string",
+			label: "Books Database",
+			description: "Set you Books database.",
+			async options({ query, prevContext }) {
+				const notion = new Client({
+					auth: this.notion.$auth.oauth_access_token,
+				});
+
+				let start_cursor = prevContext?.cursor;
+
+				const response = await notion.search({
+					...(query ? { query } : {}),
+					...(start_cursor ? { start_cursor } : {}),
+					page_size: 50,
+					filter: {
+						value: "database",
+						property: "object",
+					},
+					sorts: [
+						{
+							direction: "descending",
+							property: "last_edited_time",
+						},
+					],
+				});
+
+				const options = response.results.map((db) => ({
+					label: db.title?.[0]?.plain_text,
+					value: db.id,
+				}));
+
+				return {
+					context: {
+						cursor: response.next_cursor,
+					},
+					options,
+				};
+			},
+			reloadProps: true,
+		},
+		export_format: {
+			type: "string",
+			label: "Export Format",
+			description:
+				"The format to export in. The Goodreads CSV can be uploaded at My Books → Import and export on Goodreads; it uses the Title, Author, ISBN, Rating, Tags, Notes and reading fields.",
+			options: EXPORT_FORMATS,
+			default: "csv",
+		},
+		file_path: {
+			type: "string",
+			label: "Save to File",
+			description:
+				"Optionally, a path in /tmp to save the export to (e.g. `/tmp/books.csv`), so a later step can upload or email it. The export is also returned as `content`.",
+			optional: true,
+		},
+		reading_stages: {
+			type: "string[]",
+			label: "Reading Stages",
+			description:
+				"The options of your Reading Status property, in order. Only used for the Goodreads CSV: books in the last stage go on the read shelf, books in the second stage on currently-reading, and everything else on to-read.",
+			default: DEFAULT_READING_STAGES,
+			optional: true,
+		},
+	},
+	async additionalProps() {
+		if (!this.databaseID) {
+			return {};
+		}
+
+		const notion = new Client({
+			auth: this.notion.$auth.oauth_access_token,
+		});
+
+		const database = await notion.databases.retrieve({
+			database_id: this.databaseID,
+		});
+
+		const properties = database.properties;
+
+		const allowedProperties = Object.keys(properties).filter((key) =>
+			ALLOWED_PROPERTY_TYPES.includes(properties[key].type)
+		);
+
+		// Map the properties the same way as in Create_Notion_Page. Only mapped fields are exported.
+		return {
+			...buildFieldProps(allowedProperties),
+			...buildReadingProps(properties),
+		};
+	},
+	methods: {
+		/**
+		 * Queries one page of results from the database, retrying if Notion is busy or rate limiting us (see http.mjs).
+		 */
+		async queryDatabase(notion, start_cursor) {
+			return await callNotion(
+				() =>
+					notion.databases.query({
+						database_id: this.databaseID,
+						...(start_cursor ? { start_cursor } : {}),
+						page_size: 100,
+					}),
+				{ label: "Querying the database" }
+			);
+		},
+		/**
+		 * Pages through every entry in the database.
+		 */
+		async fetchAllPages() {
+			const notion = new Client({
+				auth: this.notion.$auth.oauth_access_token,
+			});
+
+			const pages = [];
+			let cursor;
+
+			do {
+				const response = await this.queryDatabase(notion, cursor);
+				pages.push(...response.results);
+				cursor = response.has_more ? response.next_cursor : null;
+			} while (cursor);
+
+			return pages;
+		},
+		/**
+		 * Writes the records in the chosen format.
+		 */
+		formatRecords(records) {
+			switch (this.export_format) {
+				case "jsonl":
+					return recordsToJSONLines(records);
+				case "goodreads":
+					return recordsToGoodreadsCSV(
+						records,
+						this.reading_stages?.length ? this.reading_stages : DEFAULT_READING_STAGES
+					);
+				default:
+					return recordsToCSV(records);
+			}
+		},
+	},
+	async run({ $ }) {
+		const pages = await this.fetchAllPages();
+		console.log(`Found ${pages.length} pages in the database.`);
+
+		// Read each page through the field and reading mappings
+		const mapping = {
+			...getFieldMapping(this),
+			reading_status: this.reading_status,
+			started_date: this.started_date,
+			finished_date: this.finished_date,
+			reread_count: this.reread_count,
+		};
+
+		const records = pages.map((page) => pageToRecord(page, mapping));
+		const content = this.formatRecords(records);
+
+		if (this.file_path) {
+			if (!this.file_path.startsWith("/tmp/")) {
+				throw new Error(
+					`Save to File must be a path in /tmp, which is the only folder workflows can write to. Got: ${this.file_path}`
+				);
+			}
+
+			await fs.writeFile(this.file_path, content, "utf8");
+			console.log(`Saved the export to: ${this.file_path}`);
+		}
+
+		const formatLabel = EXPORT_FORMATS.find(
+			(format) => format.value === this.export_format
+		)?.label.split(" –")[0];
+
+		$.export("$summary", `Exported ${records.length} books as ${formatLabel ?? "CSV"}.`);
+
+		return {
+			format: this.export_format ?? "csv",
+			count: records.length,
+			file_path: this.file_path ?? null,
+			content,
+		};
+	},
+};
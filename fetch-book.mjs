@@ -1,8 +1,42 @@
-// Import Axios, which is used to make HTTP requests to APIs (in this case, Google Books and Open Library): https://axios-http.com/docs/intro
-import axios from "axios";
+// Import the request helpers, which add timeouts, retries and typed errors to every request to a book source
+import { fetchData, fetchImage } from "./common/http.mjs";
 
-// Import async-retry, which is used to retry requests if they fail: https://github.com/vercel/async-retry
-import retry from "async-retry";
+// Import the error classes, so a missing cover can be told apart from a failed download
+import { NotFoundError } from "./common/errors.mjs";
+
+// Import the ISBN helpers, which validate scanner input and convert it to a normalized ISBN-13
+import { normalizeISBN } from "./common/isbn.mjs";
+
+// Import the payload helpers, which validate the trigger's request body
+import { getUserFields, parsePayload } from "./common/payload.mjs";
+
+// Import the response helpers, which build the JSON response sent back to the scanning client
+import { buildResponse, describeError } from "./common/response.mjs";
+
+// Import the cover resolver, which measures every cover candidate and picks the largest real one
+import { resolveCover } from "./common/covers.mjs";
+
+// Import the lookup cache, which keeps provider results per ISBN so rescans don't hit the APIs again
+import { CACHE_PROPS, createCacheFromProps } from "./common/cache.mjs";
+
+// Import the endpoint helpers, which let each source's base URL be swapped for a mirror or a stub server
+import {
+  ENDPOINT_PROPS,
+  assertEndpointsHealthy,
+  resolveEndpoints,
+} from "./common/endpoints.mjs";
+
+// Import the dump helpers, which point the Open Library (Local Dump) source at a database built from Open Library's data dumps
+import { DUMP_PROPS, resolveDumpPath } from "./common/open-library-dump.mjs";
+
+// Import the provider registry, which looks the book up in each configured source in priority order
+import {
+  DEFAULT_PROVIDER_ORDER,
+  getProviderOptions,
+  lookupBook,
+  resolveProviders,
+  searchBook,
+} from "./common/providers/index.mjs";
 
 export default defineComponent({
   props: {
@@ -13,10 +47,37 @@ export default defineComponent({
       
       You can get a Google Books API key by following the instructions here: https://developers.google.com/books/docs/v1/using#APIKey.
       
-      If you don't enter a key here or store on as an environment variable named GOOGLE_BOOKS, this step will only use the Open Library API to fetch book data.`,
+      If you don't enter a key here or store on as an environment variable named GOOGLE_BOOKS, this step will skip Google Books and use the other sources you've selected.`,
       optional: true,
       secret: true,
     },
+    providers: {
+      type: "string[]",
+      label: "Book Data Sources",
+      description: `The sources to search for book data, in priority order. The first source that has the book wins. Remove a source to turn it off entirely.
+      
+      Google Books is skipped if no API key is set, and Open Library (Local Dump) if no dump database is set.`,
+      options: getProviderOptions(),
+      default: DEFAULT_PROVIDER_ORDER,
+      optional: true,
+    },
+    merge_fields: {
+      type: "boolean",
+      label: "Merge Fields Across Sources",
+      description: "If enabled, every source that has the book is searched, and each field is filled from the best source that has a value for it. The returned record includes a `sources` map showing which source supplied each field. If disabled, the search stops at the first source that has the book.",
+      default: true,
+      optional: true,
+    },
+    ...CACHE_PROPS,
+    ...ENDPOINT_PROPS,
+    ...DUMP_PROPS,
+    send_response: {
+      type: "boolean",
+      label: "Send Error Responses to Scanner",
+      description: "If enabled, errors (such as an invalid ISBN or a malformed request) are sent back to the client that sent the ISBN as a JSON response with a message to show. Your HTTP trigger must be set to \"Return a custom response from your workflow\". Turn on Send Response to Scanner in Create_Notion_Page too, so successful scans get a response.",
+      default: false,
+      optional: true,
+    },
   },
   methods: {
     /**
@@ -24,89 +85,27 @@ export default defineComponent({
      *
      * In this case, we'll use it to fetch data from both Google Books and Open Library.
      *
-     * Uses async-retry to retry the request up to 3 times if it fails.
+     * Requests time out, and are retried with backoff if the source is down or rate limiting us. Failures are thrown
+     * as typed errors (see http.mjs).
      */
     async fetchBookData(url) {
-      return await retry(
-        async (bail, attempt) => {
-          try {
-            console.log(`Fetching data from URL: ${url} (Attempt ${attempt})`);
-            const response = await axios.get(url);
-            if (response.status === 200) {
-              return response.data;
-            } else {
-              throw new Error(`Status code: ${response.status}`);
-            }
-          } catch (error) {
-            if (
-              error.response &&
-              error.response.status >= 400 &&
-              error.response.status < 500
-            ) {
-              bail(
-                new Error(
-                  `Cannot retry due to error: ${error.message} (Status code: ${error.response.status})`
-                )
-              );
-            } else {
-              console.error(
-                `Retrying due to error: ${error.message} (Status code: ${error.response.status})`
-              );
-            }
-          }
-        },
-        {
-          retries: 3,
-        }
-      );
+      return await fetchData(url);
     },
     /**
-     * Gets the highest-resolution cover image available from Open Library, given the book's ISBN.
+     * Downloads a cover image candidate. Returns the image data and content type, or null if it doesn't exist.
      */
-    async fetchBookCover(isbn) {
-      // Get the highest-resolution cover from Open Library that we can
-      console.log(`Attempting to fetch the cover image.`);
-      const sizes = ["L", "M", "S"];
-
-      const baseCoverURL = `https://covers.openlibrary.org/b/isbn/${isbn}`;
-
-      // For each size, starting from the largest size, see if the cover exists.
-      for (let size of sizes) {
-        console.log(`Checking cover size: ${size}`);
-
-        // When we add "?default=false" to the URL, cover images that don't exist will return a 404.
-        const coverURL = `${baseCoverURL}-${size}.jpg?default=false`;
-
-        try {
-          const response = await axios.get(coverURL, {
-            validateStatus: (status) => status === 200 && status !== 404,
-          });
-
-          if (response.status === 200) {
-            console.log(`Cover found for size: ${size}`);
-            return coverURL.replace(/\?default=false$/, "");
-          }
-        } catch (error) {
-          if (error.response.status === 404) {
-            console.log(`Cover not found for size: ${size}`);
-          } else {
-            console.error(`Encountered error fetching cover: ${error.message}`);
-          }
+    async fetchCoverImage(url) {
+      try {
+        return await fetchImage(url);
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          console.log(`Cover not found: ${url}`);
+        } else {
+          console.error(`Encountered error fetching cover: ${error.message}`);
         }
-      }
-    },
-    /**
-     * Builds the book title, appending the subtitle to the original title if it exists.
-     */
-    buildBookTitle(book) {
-      console.log(`Building the book title.`);
-      let title = book.title;
 
-      if (book.subtitle && book.subtitle !== "") {
-        title += `: ${book.subtitle}`;
+        return null;
       }
-
-      return title;
     },
     /**
      * Constructs the final book record, removing any empty fields.
@@ -126,170 +125,126 @@ export default defineComponent({
 
       return finalBookRecord;
     },
-  },
-  async run({ steps, $ }) {
-    try {
-      // Set a variable for the Google Books API key. If it ends up null, we'll use the Open Library API instead.
-      let googleBooksAPIKey =
-        process.env.GOOGLE_BOOKS && process.env.GOOGLE_BOOKS !== ""
-          ? process.env.GOOGLE_BOOKS
-          : this.google_books_key && this.google_books_key !== ""
-          ? this.google_books_key
-          : null;
-
-      // Set up variables for the ISBN number and the initial book object
-      const isbn = parseInt(steps.trigger.event.body.isbn.replace(/-/g, ""));
-
-      const book = {
-        db: "",
-        db_id: "",
-        status: "",
-        title: "",
-        author: "",
-        cover_image: "",
-        isbn_13: isbn,
-        publish_year: "",
-        page_count: "",
-        full_record: "",
-      };
-
-      // Set up Google Books search variables in a high enough scope to use later
-      let searchURL = null;
-      let searchResponse = null;
-
-      // Search for the book in the Google Books API, if the key is set. If not, skip directly to searching Open Library.
-      if (googleBooksAPIKey) {
-        console.log(`Searching Google Books for book with ISBN: ${isbn}`);
-        searchURL = `https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}&key=${googleBooksAPIKey}`;
-        searchResponse = await this.fetchBookData(searchURL);
-
-        console.log(`Search response from Google Books:`);
-        console.dir(searchResponse);
-      } else {
-        console.log(
-          `Google Books API key not set. Only searching Open Library.`
-        );
-      }
-
-      // Create an Open Library variable in a high enough scope, in case we need to use it later
-      let openLibraryBook = null;
-
-      // If the search was successful, store the book ID. Otherwise, use our fallback method to do it.
-      if (
-        searchResponse &&
-        searchResponse.items &&
-        searchResponse.items.length > 0
-      ) {
-        book.db = "google_books";
-        book.db_id = searchResponse.items[0].id;
-        book.status = "Exact match";
-        console.log(`Found book in Google Books with ID: ${book.db_id}`);
-      } else {
-        console.log(
-          `No book found in Google Books, or API key not set. Using Open Library method.`
-        );
-
-        // Search for the book in the Open Library API
-        const openLibraryURL = `https://openlibrary.org/search.json?q=${isbn}`;
-        const openLibraryResponse = await this.fetchBookData(openLibraryURL);
-
-        console.log(`Search response from Open Library:`);
-        console.dir(openLibraryResponse);
-
-        // If the search was successful, get the book's other ISBN numbers and search Google Books for a valid match.
-        if (openLibraryResponse.docs && openLibraryResponse.docs.length > 0) {
-          console.log(`Found book in Open Library.`);
-          if (googleBooksAPIKey) {
-            console.log(
-              `Searching Google Books for a match using other ISBN numbers for this title.`
-            );
-          }
-
-          // Store the Open Library entry data in case we need to fall back on it
-          openLibraryBook = openLibraryResponse.docs[0];
-          // Get only the ISBN-13 numbers
-          const ISBNArray = openLibraryResponse.docs[0].isbn.filter(
-            (edition) => edition.length === 13
+    /**
+     * Validates the request body, looks the book up and returns the final book record.
+     */
+    async getBook(steps) {
+      // Validate the request body before doing anything else. A malformed body throws an InvalidPayloadError listing
+      // every bad field, and an invalid ISBN throws an InvalidISBNError. Both are let through as-is so later steps (and
+      // the workflow's error handling) can tell them apart from lookup failures, which keep their own types too.
+      const payload = parsePayload(steps.trigger.event.body);
+
+      // The title and author are optional hints, used to search for the book when there's no ISBN or no source has it
+      const query = payload.title
+        ? { title: payload.title, author: payload.author ?? null }
+        : null;
+
+      // The ISBN can only be left out if a title is sent instead
+      const isbns = payload.isbn ? normalizeISBN(payload.isbn) : {};
+
+      try {
+        // Set a variable for the Google Books API key. If it ends up null, the Google Books provider is skipped.
+        let googleBooksAPIKey =
+          process.env.GOOGLE_BOOKS && process.env.GOOGLE_BOOKS !== ""
+            ? process.env.GOOGLE_BOOKS
+            : this.google_books_key && this.google_books_key !== ""
+            ? this.google_books_key
+            : null;
+
+        // Set up the lookup cache. Sending "refresh": true in the trigger body forces fresh data for this request.
+        const cache = createCacheFromProps(this, {
+          bypass: payload.refresh === true,
+        });
+
+        // Work out each source's base URL (from the props, then environment variables, then the defaults) and where
+        // the Open Library dump database is, if there is one
+        const config = {
+          googleBooksAPIKey,
+          endpoints: resolveEndpoints(this),
+          openLibraryDumpPath: resolveDumpPath(this),
+        };
+
+        if (this.check_endpoints) {
+          await assertEndpointsHealthy(
+            config.endpoints,
+            resolveProviders(this.providers, config).map((provider) => provider.id)
           );
+        }
 
-          // If Google Books API is set, search Google Books for the book returned by Open Library
-          if (googleBooksAPIKey) {
-            // Loop through the ISBN-13 array, searching Google Books until we find a valid record.
-            for (let number of ISBNArray) {
-              console.log(`Searching Google Books for ISBN: ${number}`);
-              const searchURL = `https://www.googleapis.com/books/v1/volumes?q=isbn:${number}&key=${googleBooksAPIKey}`;
-              const searchResponse = await this.fetchBookData(searchURL);
+        const options = {
+          order: this.providers,
+          config,
+          fetchData: (url) => this.fetchBookData(url),
+          merge: this.merge_fields ?? true,
+          cache,
+        };
 
-              if (searchResponse.items && searchResponse.items.length > 0) {
-                console.log(`Found a valid match in Google Books.`);
-                book.db = "google_books";
-                book.db_id = searchResponse.items[0].id;
-                book.status = "Nearest match";
-                break;
-              }
+        // Look the book up in each source, in the order the user set
+        let book = isbns.isbn_13 ? await lookupBook(isbns, options) : null;
 
-              console.log(`No match found in Google Books.`);
-              book.db = "open_library";
-              book.db_id = openLibraryBook.key;
-            }
-          } else {
-            // If Google Books API is not set, use the Open Library record.
-            console.log(`Setting Open Library as the book database.`);
-            book.db = "open_library";
-            book.db_id = openLibraryBook.key;
-          }
-        } else {
-          // Search wasn't successful in either book database. Return a generic record with the ISBN number alone.
-          console.log(
-            `No book found in Open Library. Returning generic record.`
-          );
-          book.title = `Unidentified Book with ISBN: ${isbn}`;
-          book.isbn_13 = isbn;
+        // If there's no ISBN, or no source had it, search by title and author instead
+        if ((!book || book.db === "") && query) {
+          book = await searchBook(query, { ...options, isbns });
         }
-      }
 
-      if (book.db !== "") {
-        // If we found a valid Google Books match, query Google Books with the book ID to get the full record.
-        if (book.db === "google_books") {
-          console.log(`Fetching full book record from Google Books.`);
-          const fullRecordURL = `https://www.googleapis.com/books/v1/volumes/${book.db_id}?key=${googleBooksAPIKey}`;
-          const fullRecordResponse = await this.fetchBookData(fullRecordURL);
+        const isbn = book.isbn_13;
 
-          console.log(`Full record response from Google Books:`);
-          console.dir(fullRecordResponse);
+        // Pick the largest real cover image from every provider's candidates. The result is cached per ISBN, or per
+        // source record for books found by search. A book with neither isn't cached, since there's nothing to key it by.
+        const resolve = () =>
+          resolveCover(book.cover_candidates ?? [], {
+            fetchImage: (url) => this.fetchCoverImage(url),
+          });
+        const coverKey = isbn
+          ? `covers:${isbn}`
+          : book.db_id
+          ? `covers:${book.db}:${book.db_id}`
+          : null;
+        const cover = coverKey ? await cache.wrap(coverKey, resolve) : await resolve();
 
-          // Add the info to the book object
-          book.title = this.buildBookTitle(fullRecordResponse.volumeInfo);
-          book.author = fullRecordResponse.volumeInfo.authors?.join(", ") ?? "";
-          book.page_count = fullRecordResponse.volumeInfo.pageCount ?? "";
-          book.publish_year =
-            parseInt(
-              fullRecordResponse.volumeInfo.publishedDate.substring(0, 4)
-            ) ?? ""; // Get only the year
-          book.full_record = fullRecordResponse.volumeInfo;
-        } else if (book.db === "open_library" && openLibraryBook) {
-          // We didn't find a valid Google Books match, so we'll use the Open Library record.
-          console.log(
-            `No valid Google Books match found. Using Open Library record.`
-          );
+        // That's the last lookup, so save them all to the cache in one write
+        await cache.flush();
+        delete book.cover_candidates;
 
-          book.title = this.buildBookTitle(openLibraryBook);
-          book.author = openLibraryBook.author_name?.join(", ") ?? "";
-          book.page_count = openLibraryBook.number_of_pages_median ?? "";
-          book.publish_year =
-            parseInt(openLibraryBook.first_publish_year) ?? "";
-          book.status = "Exact match";
-          book.full_record = openLibraryBook;
+        if (cover) {
+          book.cover_image = cover.url;
+          book.cover_source = cover.source;
+          book.cover_width = cover.width;
+          book.cover_height = cover.height;
         }
 
-        // Try to get the cover image from Open Library
-        book.cover_image = await this.fetchBookCover(book.isbn_13);
-      }
+        // Add the user's own data about their copy (tags, shelf, rating, ...), so it can be mapped like any other field
+        Object.assign(book, getUserFields(payload));
+
+        // Pass the scan's reading action along too, so Create_Notion_Page doesn't have to read the request body again
+        book.scan_action = payload.action;
 
-      // Construct and return the final book record
-      return this.constructBookRecord(book);
+        // Construct and return the final book record
+        return this.constructBookRecord(book);
+      } catch (error) {
+        // Keep the error's class and code (RateLimitedError, AuthError, INVALID_ENDPOINT, ...), so the response to the
+        // scanner and the workflow's error handling can still tell failures apart
+        error.message = `Error fetching book data: ${error.message}`;
+        throw error;
+      }
+    },
+  },
+  async run({ steps, $ }) {
+    try {
+      return await this.getBook(steps);
     } catch (error) {
-      throw new Error(`Error fetching book data: ${error.message}`);
+      // Tell the scanning client what went wrong, if the trigger is set up to wait for a response. Successful scans
+      // are answered by Create_Notion_Page, once the page exists.
+      if (this.send_response) {
+        await $.respond({
+          immediate: true,
+          ...buildResponse(
+            describeError(error, { isbn: steps.trigger.event.body?.isbn })
+          ),
+        });
+      }
+
+      throw error;
     }
   },
 });
@@ -1,12 +1,76 @@
-import axios from "axios";
-import retry from "async-retry";
-import Bottleneck from "bottleneck";
+// Import the official Notion SDK: https://github.com/makenotion/notion-sdk-js
+// Pinned to v4, the last version with databases.query (v5 moved queries to dataSources.query) and fileUploads
+import { Client } from "@notionhq/client@4.0.2";
 
-/**
- * Goal: Take in an array containing one or more ISBN-13 numbers. For each, run the book fetch workflow I've already created. Then create a Notion page for each book.
- * 
- * Still trying to figure out how to make the looping scan action work on iOS. If I can't get it to work, we'll just build this into Flylighter.
- */
+// Import the request helpers, which add timeouts, retries and typed errors to every request to a book source or Notion
+import { callNotion } from "./common/http.mjs";
+
+// Import the ISBN helpers, which validate scanner input and convert it to a normalized ISBN-13
+import { normalizeISBN } from "./common/isbn.mjs";
+
+// Import the lookup cache, which keeps provider results per ISBN so rescans don't hit the APIs again
+import { CACHE_PROPS, createCacheFromProps } from "./common/cache.mjs";
+
+// Import the endpoint helpers, which let each source's base URL be swapped for a mirror or a stub server
+import {
+	ENDPOINT_PROPS,
+	assertEndpointsHealthy,
+	resolveEndpoints,
+} from "./common/endpoints.mjs";
+
+// Import the dump helpers, which point the Open Library (Local Dump) source at a database built from Open Library's data dumps
+import { DUMP_PROPS } from "./common/open-library-dump.mjs";
+
+// Import the provider registry, which looks the book up in each configured source in priority order
+import {
+	DEFAULT_PROVIDER_ORDER,
+	getProviderOptions,
+	resolveProviders,
+} from "./common/providers/index.mjs";
+
+// Import the duplicate modes, which set what happens when a book is already in the database
+import { DUPLICATE_MODES } from "./common/duplicates.mjs";
+
+// Import the property helpers, which convert book fields to the value shape each Notion property type needs
+import {
+	ALLOWED_PROPERTY_TYPES,
+	buildFieldProps,
+	getFieldMapping,
+} from "./common/notion-properties.mjs";
+
+// Import the page body helpers, which turn the book record into Notion blocks
+import { BODY_SECTIONS } from "./common/page-body.mjs";
+
+// Import the relation helpers, which link each book to pages in other databases (authors, series), creating them as needed
+import {
+	RELATIONS,
+	buildRelationProps,
+	getRelationLinks,
+	listDatabaseOptions,
+} from "./common/relations.mjs";
+
+// Import the response helpers, which describe each book the same way the single-book steps do
+import {
+	HTTP_STATUS,
+	buildBatchResponse,
+	buildResponse,
+	describeBook,
+	describeError,
+} from "./common/response.mjs";
+
+// Import the preview helpers, which describe what a dry run would send to Notion
+import { findMissingProperties } from "./common/preview.mjs";
+
+// Import the save flow, which adds each book to the database the same way the Create_Notion_Page step does
+import { describeSaveResult, saveBook } from "./common/save-book.mjs";
+
+// Import the batch helpers, which send every lookup and Notion request through a rate limiter for its service, so books can be processed in parallel
+import {
+	createBatchLookup,
+	createRelationResolvers,
+	createSaveCalls,
+	limiters,
+} from "./common/batch.mjs";
 
 export default {
 	name: "Notion Book Fetcher",
@@ -23,10 +87,37 @@ export default {
             
             You can get a Google Books API key by following the instructions here: https://developers.google.com/books/docs/v1/using#APIKey.
             
-            If you don't enter a key here or store on as an environment variable named GOOGLE_BOOKS, this step will only use the Open Library API to fetch book data.`,
+            If you don't enter a key here or store on as an environment variable named GOOGLE_BOOKS, this step will skip Google Books and use the other sources you've selected.`,
 			optional: true,
 			secret: true,
 		},
+		providers: {
+			type: "string[]",
+			label: "Book Data Sources",
+			description: `The sources to search for book data, in priority order. The first source that has the book wins. Remove a source to turn it off entirely.
+            
+            Google Books is skipped if no API key is set, and Open Library (Local Dump) if no dump database is set.`,
+			options: getProviderOptions(),
+			default: DEFAULT_PROVIDER_ORDER,
+			optional: true,
+		},
+		merge_fields: {
+			type: "boolean",
+			label: "Merge Fields Across Sources",
+			description:
+				"If enabled, every source that has the book is searched, and each field is filled from the best source that has a value for it. The returned record includes a `sources` map showing which source supplied each field. If disabled, the search stops at the first source that has the book.",
+			default: true,
+			optional: true,
+		},
+		...CACHE_PROPS,
+		...ENDPOINT_PROPS,
+		...DUMP_PROPS,
+		isbns: {
+			type: "string[]",
+			label: "ISBN Numbers",
+			description:
+				"The ISBN-10 or ISBN-13 numbers of the books to add. Reference the array sent to your trigger here, e.g. `{{steps.trigger.event.body.isbns}}`.",
+		},
 		notion: {
 			type: "app",
 			app: "notion",
@@ -72,6 +163,77 @@ export default {
 			},
 			reloadProps: true,
 		},
+		on_duplicate: {
+			type: "string",
+			label: "If a Book Already Exists",
+			description:
+				"What to do when the database already has a page for a book. Pages are matched by the ISBN-13 property if you've mapped one, falling back to the title (and author, if mapped).",
+			options: DUPLICATE_MODES,
+			default: "skip",
+			optional: true,
+		},
+		page_body: {
+			type: "string[]",
+			label: "Page Body",
+			description:
+				"Sections to add to the body of new pages, in order. Leave empty to create pages with properties only. The body is only added when a new page is created, never to an existing one.",
+			options: BODY_SECTIONS,
+			optional: true,
+		},
+		upload_cover: {
+			type: "boolean",
+			label: "Upload Cover Images to Notion",
+			description:
+				"If enabled, cover images are uploaded to Notion instead of being linked from their source. Uploaded covers keep working even if the original URL changes or disappears.",
+			default: false,
+			optional: true,
+		},
+		authors_database: {
+			type: "string",
+			label: "Authors Database",
+			description:
+				"Optionally, set your Authors database to link each book to its authors. Each author is matched to an existing page by name (so \"J.R.R. Tolkien\" and \"J. R. R. Tolkien\" are the same person), and a page is created for any author who doesn't have one yet. Your Books database needs a relation property pointing at this database.",
+			optional: true,
+			async options({ query, prevContext }) {
+				const notion = new Client({
+					auth: this.notion.$auth.oauth_access_token,
+				});
+
+				return await listDatabaseOptions(notion, { query, prevContext });
+			},
+			reloadProps: true,
+		},
+		series_database: {
+			type: "string",
+			label: "Series Database",
+			description:
+				"Optionally, set your Series database to link each book to its series. The series is matched to an existing page by name, and a page is created if there isn't one yet. Your Books database needs a relation property pointing at this database.",
+			optional: true,
+			async options({ query, prevContext }) {
+				const notion = new Client({
+					auth: this.notion.$auth.oauth_access_token,
+				});
+
+				return await listDatabaseOptions(notion, { query, prevContext });
+			},
+			reloadProps: true,
+		},
+		dry_run: {
+			type: "boolean",
+			label: "Dry Run",
+			description:
+				"If enabled, every book is looked up and its page built as usual, but nothing is written to Notion. Each result includes a `preview` with the exact request that would have been sent, any problems with your property mapping, and, for existing pages, the changes the update would make. Sending `\"dry_run\": true` in the trigger body does the same for a single request.",
+			default: false,
+			optional: true,
+		},
+		send_response: {
+			type: "boolean",
+			label: "Send Response to Scanner",
+			description:
+				"If enabled, the action sends a JSON response back to the client that sent the ISBNs, listing each book's status, title, author, cover and Notion page URL with a message to show. Your HTTP trigger must be set to \"Return a custom response from your workflow\".",
+			default: false,
+			optional: true,
+		},
 	},
 	async additionalProps() {
 		if (!this.databaseID) {
@@ -86,7 +248,7 @@ export default {
 			database_id: this.databaseID,
 		});
 
-		const allowedTypes = ["title", "number", "rich_text", "files"];
+		const allowedTypes = ALLOWED_PROPERTY_TYPES;
 
 		const properties = database.properties;
 
@@ -94,236 +256,199 @@ export default {
 			allowedTypes.includes(properties[key].type)
 		);
 
+		// Every book field gets a dropdown of the database's properties. The value is converted to the chosen
+		// property's type when the page is built.
+		// If there's an Authors or Series database, the user also picks the relation property that points at it.
 		return {
-			title: {
-				type: "string",
-				label: "Book Title",
-				description: "The title of the book.",
-				optional: false,
-				options: allowedProperties.map((prop) => ({
-					label: prop,
-					value: prop,
-				})),
-			},
-			author: {
-				type: "string",
-				label: "Author",
-				description: "The author of the book.",
-				optional: true,
-				options: allowedProperties.map((prop) => ({
-					label: prop,
-					value: prop,
-				})),
-			},
-			publish_year: {
-				type: "string",
-				label: "Publish Year",
-				description: "The publish year of the book.",
-				optional: true,
-				options: allowedProperties.map((prop) => ({
-					label: prop,
-					value: prop,
-				})),
-			},
-			page_count: {
-				type: "string",
-				label: "Page Count",
-				description: "The page count of the book.",
-				optional: true,
-				options: allowedProperties.map((prop) => ({
-					label: prop,
-					value: prop,
-				})),
-			},
-			isbn_13: {
-				type: "string",
-				label: "ISBN-13 Number",
-				description: "The ISBN-13 number of the book.",
-				optional: true,
-				options: allowedProperties.map((prop) => ({
-					label: prop,
-					value: prop,
-				})),
-			},
-			cover_image: {
-				type: "string",
-				label: "Book Cover Image",
-				description:
-					"The file path to the book's cover image. You can select a Files & Media property here if you want to fill it with the book's cover image URL, which will also be set as the page's cover image.",
-				optional: true,
-				options: allowedProperties.map((prop) => ({
-					label: prop,
-					value: prop,
-				})),
-			},
+			...buildFieldProps(allowedProperties),
+			...buildRelationProps(properties, this),
 		};
 	},
 	methods: {
 		/**
-		 * Fetches the book data from the given URL. This is a generic method that can make requests to multiple APIs.
-		 *
-		 * In this case, we'll use it to fetch data from both Google Books and Open Library.
-		 *
-		 * Uses async-retry to retry the request up to 3 times if it fails.
+		 * Lists the relation properties that are mapped but missing from the database. Book fields are checked when each page is built.
 		 */
-		async fetchBookData(url) {
-			return await retry(
-				async (bail, attempt) => {
-					try {
-						console.log(`Fetching data from URL: ${url} (Attempt ${attempt})`);
-						const response = await axios.get(url);
-						if (response.status === 200) {
-							return response.data;
-						} else {
-							throw new Error(`Status code: ${response.status}`);
-						}
-					} catch (error) {
-						if (
-							error.response &&
-							error.response.status >= 400 &&
-							error.response.status < 500
-						) {
-							bail(
-								new Error(
-									`Cannot retry due to error: ${error.message} (Status code: ${error.response.status})`
-								)
-							);
-						} else {
-							console.error(
-								`Retrying due to error: ${error.message} (Status code: ${error.response.status})`
-							);
-						}
-					}
-				},
-				{
-					retries: 3,
-				}
+		findMappingProblems(schema) {
+			return findMissingProperties(
+				schema,
+				Object.fromEntries(
+					Object.values(RELATIONS)
+						.filter((relation) => this[relation.databaseProp])
+						.map((relation) => [relation.label, this[relation.relationProp]])
+				)
 			);
 		},
 		/**
-		 * Gets the highest-resolution cover image available from Open Library, given the book's ISBN.
+		 * Fetches a single book and saves it with the shared save flow (see save-book.mjs), sending every Notion request through the limiter. Never throws, so one bad ISBN can't abort the rest of the batch.
+		 *
+		 * In a dry run, nothing is written: the result includes a preview of the request instead (see preview.mjs).
 		 */
-		async fetchBookCover(isbn) {
-			// Get the highest-resolution cover from Open Library that we can
-			console.log(`Attempting to fetch the cover image.`);
-			const sizes = ["L", "M", "S"];
+		async processBook(isbns, lookup, schema, cache, calls, dryRun = false) {
+			const isbn = isbns.isbn_13;
 
-			const baseCoverURL = `https://covers.openlibrary.org/b/isbn/${isbn}`;
+			try {
+				const book = await lookup.fetchBook(isbns, { cache });
 
-			// For each size, starting from the largest size, see if the cover exists.
-			for (let size of sizes) {
-				console.log(`Checking cover size: ${size}`);
+				const result = await saveBook(book, {
+					schema,
+					databaseID: this.databaseID,
+					mapping: getFieldMapping(this),
+					mode: this.on_duplicate ?? "skip",
+					dryRun,
+					pageBody: this.page_body,
+					endpoints: lookup.endpoints,
+					uploadCover: this.upload_cover,
+					coverProperty: this.cover_image,
+					links: getRelationLinks(this, book),
+					problems: this.findMappingProblems(schema),
+					calls,
+				});
 
-				// When we add "?default=false" to the URL, cover images that don't exist will return a 404.
-				const coverURL = `${baseCoverURL}-${size}.jpg?default=false`;
+				return {
+					...describeSaveResult(book, result, { isbn }),
+					...(result.preview && { preview: result.preview }),
+					warnings: result.warnings,
+				};
+			} catch (error) {
+				console.error(`Failed to add book with ISBN ${isbn}: ${error.message}`);
+
+				return describeError(error, { isbn });
+			}
+		},
+	},
+	async run({ steps, $ }) {
+		try {
+			// Set up the book lookups. If no Google Books API key is set, the Google Books provider is skipped.
+			const lookup = createBatchLookup(this);
+
+			// Check every endpoint the selected sources use before starting, if asked to
+			if (this.check_endpoints) {
+				await assertEndpointsHealthy(
+					resolveEndpoints(this),
+					resolveProviders(this.providers, lookup.config).map((provider) => provider.id)
+				);
+			}
+
+			// Get the ISBN-13 numbers from the input. Invalid and repeated entries are skipped up front; everything else is queued.
+			// Results keep the input's order: each queued book holds its place until it's been processed.
+			const seen = new Set();
+			const results = [];
+			const queued = [];
+
+			for (const input of this.isbns ?? []) {
+				let isbns;
 
 				try {
-					const response = await axios.get(coverURL, {
-						validateStatus: (status) => status === 200 && status !== 404,
-					});
-
-					if (response.status === 200) {
-						console.log(`Cover found for size: ${size}`);
-						return coverURL.replace(/\?default=false$/, "");
-					}
+					isbns = normalizeISBN(input);
 				} catch (error) {
-					if (error.response.status === 404) {
-						console.log(`Cover not found for size: ${size}`);
-					} else {
-						console.error(`Encountered error fetching cover: ${error.message}`);
-					}
+					results.push(describeError(error, { isbn: input }));
+					continue;
+				}
+
+				// Compare on the ISBN-13, so an ISBN-10 and ISBN-13 for the same book count as a repeat.
+				if (seen.has(isbns.isbn_13)) {
+					results.push(
+						describeBook({
+							status: "duplicate",
+							isbn: isbns.isbn_13,
+							message: `ISBN appears more than once in this batch.`,
+						})
+					);
+				} else {
+					seen.add(isbns.isbn_13);
+					queued.push({ isbns, index: results.length });
+					results.push(null);
 				}
 			}
-		},
-		async createNotionPage(data) {
-			// Create a new Notion client
+
+			console.log(`Processing ${queued.length} books (${results.length - queued.length} skipped).`);
+
+			// Retrieve the database schema once, so duplicate checks know each mapped property's type
 			const notion = new Client({
 				auth: this.notion.$auth.oauth_access_token,
 			});
 
-			// Log the data object for debugging
-			console.log(`Data object for the new Notion page:`);
-			console.dir(data);
+			const database = await callNotion(
+				() =>
+					notion.databases.retrieve({
+						database_id: this.databaseID,
+					}),
+				{
+					label: "Retrieving the database schema",
+					schedule: (request) => limiters.notion.schedule(request),
+				}
+			);
 
-			// Build a request that will retry upon failure
-			try {
-				return await retry(
-					async (bail, attempt) => {
-						try {
-							console.log(`Creating new page in Notion (Attempt ${attempt})`);
-							const response = await notion.pages.create(data);
-							return response;
-						} catch (error) {
-							if (error.status >= 400 && error.status < 409) {
-								bail(
-									new Error(
-										`Cannot retry due to error: ${error.message} (Status code: ${error.status})`
-									)
-								);
-							} else {
-								console.error(
-									`Retrying due to error: ${error.message} (Status code: ${error.status})`
-								);
-							}
-						}
-					},
-					{
-						retries: 3,
-					}
-				);
-			} catch (error) {
-				throw new Error(
-					`Failed to create the new page in Notion due to error: ${error.message}`
-				);
-			}
-		},
-		/**
-		 * Builds the book title, appending the subtitle to the original title if it exists.
-		 */
-		buildBookTitle(book) {
-			console.log(`Building the book title.`);
-			let title = book.title;
+			// Set up the lookup cache, shared by every book in the batch
+			const cache = createCacheFromProps(this, {
+				bypass: steps.trigger.event.body?.refresh === true,
+			});
 
-			if (book.subtitle && book.subtitle !== "") {
-				title += `: ${book.subtitle}`;
-			}
+			// Set up the Notion calls for saving each book. The resolvers for the Authors and Series databases (if books
+			// should be linked to them) are shared by the whole batch.
+			const calls = createSaveCalls(notion, {
+				databaseID: this.databaseID,
+				schema: database.properties,
+				mapping: getFieldMapping(this),
+				endpoints: lookup.endpoints,
+				resolvers: createRelationResolvers(notion, this),
+			});
 
-			return title;
-		},
-		/**
-		 * Constructs the final book record, removing any empty fields.
-		 */
-		constructBookRecord(book) {
-			// Remove empty fields from the book record
-			const finalBookRecord = Object.keys(book).reduce((acc, key) => {
-				if (book[key] !== "") {
-					acc[key] = book[key];
-				}
+			// Nothing is written in a dry run, whether it's set on the step or sent with the request
+			const dryRun =
+				this.dry_run === true || steps.trigger.event.body?.dry_run === true;
 
-				return acc;
-			}, {});
+			// Process every book in parallel. The limiters throttle the actual API calls.
+			await Promise.all(
+				queued.map(async ({ isbns, index }) => {
+					results[index] = await this.processBook(
+						isbns,
+						lookup,
+						database.properties,
+						cache,
+						calls,
+						dryRun
+					);
+				})
+			);
 
-			console.log(`Final book record with blank fields removed:`);
-			console.dir(finalBookRecord);
+			// Save the lookups to the cache in one write, now the whole batch is done
+			await cache.flush();
 
-			return finalBookRecord;
-		},
-	},
-	async run({ steps, $ }) {
-		try {
-			// Set a variable for the Google Books API key. If it ends up null, we'll use the Open Library API instead.
-			let googleBooksAPIKey =
-				process.env.GOOGLE_BOOKS && process.env.GOOGLE_BOOKS !== ""
-					? process.env.GOOGLE_BOOKS
-					: this.google_books_key && this.google_books_key !== ""
-					? this.google_books_key
-					: null;
-            
+			// Count the results by status (created, updated, duplicate, not_found, invalid_isbn, error)
+			const summary = Object.fromEntries(
+				Object.keys(HTTP_STATUS)
+					.filter((status) => status !== "invalid_request")
+					.map((status) => [
+						status,
+						results.filter((result) => result.status === status).length,
+					])
+			);
+
+			const response = buildBatchResponse(results, summary);
 
-            // Get the ISBN-13 numbers from the input
+			$.export("$summary", response.body.message);
+
+			// Tell the scanning client what happened to each book, if the trigger is set up to wait for a response
+			if (this.send_response) {
+				await $.respond(response);
+			}
 
+			return {
+				summary,
+				results,
+			};
 		} catch (error) {
-			throw new Error(`Error fetching book data: ${error.message}`);
+			if (this.send_response) {
+				await $.respond({
+					immediate: true,
+					...buildResponse(describeError(error)),
+				});
+			}
+
+			// Keep the error's class and code, so the workflow's error handling can still tell failures apart
+			error.message = `Error fetching book data: ${error.message}`;
+			throw error;
 		}
 	},
 };
@@ -0,0 +1,517 @@
+// Import the official Notion SDK: https://github.com/makenotion/notion-sdk-js
+// Pinned to v4, the last version with databases.query (v5 moved queries to dataSources.query) and fileUploads
+import { Client } from "@notionhq/client@4.0.2";
+
+// Import the request helpers, which add timeouts, retries and typed errors to every request, including the export's download
+import { fetchData } from "./common/http.mjs";
+
+// Import Node's file system module, which reads exports uploaded to /tmp
+import fs from "fs/promises";
+
+// Import the ISBN helpers, which convert an ISBN-13 to the pair of numbers the lookup expects
+import { normalizeISBN } from "./common/isbn.mjs";
+
+// Import the lookup cache, which keeps provider results per ISBN so rescans don't hit the APIs again
+import { CACHE_PROPS, createCacheFromProps } from "./common/cache.mjs";
+
+// Import the endpoint helpers, which let each source's base URL be swapped for a mirror or a stub server
+import {
+	ENDPOINT_PROPS,
+	assertEndpointsHealthy,
+	resolveEndpoints,
+} from "./common/endpoints.mjs";
+
+// Import the dump helpers, which point the Open Library (Local Dump) source at a database built from Open Library's data dumps
+import { DUMP_PROPS } from "./common/open-library-dump.mjs";
+
+// Import the provider registry, which looks the book up in each configured source in priority order
+import {
+	DEFAULT_PROVIDER_ORDER,
+	getProviderOptions,
+	resolveProviders,
+} from "./common/providers/index.mjs";
+
+// Import the duplicate modes, which set what happens when a book is already in the database
+import { DUPLICATE_MODES } from "./common/duplicates.mjs";
+
+// Import the property helpers, which convert book fields to the value shape each Notion property type needs
+import {
+	ALLOWED_PROPERTY_TYPES,
+	buildFieldProps,
+	getFieldMapping,
+} from "./common/notion-properties.mjs";
+
+// Import the page body helpers, which turn the book record into Notion blocks
+import { BODY_SECTIONS } from "./common/page-body.mjs";
+
+// Import the relation helpers, which link each book to pages in other databases (authors, series), creating them as needed
+import {
+	buildRelationProps,
+	getRelationLinks,
+	listDatabaseOptions,
+} from "./common/relations.mjs";
+
+// Import the save flow, which adds each book to the database the same way the Create_Notion_Page step does
+import { saveBook } from "./common/save-book.mjs";
+
+// Import the reading helpers, which offer the Reading Status, Started, Finished and Re-read Count mappings
+import { DEFAULT_READING_STAGES, buildReadingProps } from "./common/reading.mjs";
+
+// Import the import helpers, which parse Goodreads and StoryGraph exports and write the report of unmatched rows
+import {
+	IMPORT_FORMATS,
+	buildImportedReadingProperties,
+	entriesToCSV,
+	getImportedFields,
+	parseReadingHistory,
+} from "./common/imports.mjs";
+
+// Import the batch helpers, which send every lookup and Notion request through a rate limiter for its service, the same as the batch action's
+import {
+	createBatchLookup,
+	createRelationResolvers,
+	createSaveCalls,
+	sendNotionRequest,
+} from "./common/batch.mjs";
+
+/**
+ * Goal: Bring a reading history exported from Goodreads or StoryGraph into the Books database, so I don't have to scan every book I've already read.
+ *
+ * Rows are looked up the same way scanned books are. Rows that can't be matched are left out and returned as a CSV, so they can be fixed by hand and imported again.
+ */
+
+// The status reported for each row, by what the save flow did (or, in a dry run, would do)
+const SAVE_STATUS = {
+	created: "created",
+	create: "created",
+	updated: "updated",
+	update: "updated",
+	overwritten: "updated",
+	overwrite: "updated",
+	skipped: "duplicate",
+	skip: "duplicate",
+};
+
+export default {
+	name: "Notion Book Importer",
+	description:
+		"Imports a Goodreads or StoryGraph CSV export into your Notion Books database, carrying over shelves, ratings, read dates and reviews.",
+	key: "notion-book-importer",
+	version: "0.0.1",
+	type: "action",
+	props: {
+		google_books_key: {
+			type: "string",
+			label: "Google Books API Key",
+			description: `If you'd like to use the Google Books API to fetch book data, either enter your Google Books API key here or store is as an environment variable with the name GOOGLE_BOOKS.
+            
+            You can get a Google Books API key by following the instructions here: https://developers.google.com/books/docs/v1/using#APIKey.
+            
+            If you don't enter a key here or store on as an environment variable named GOOGLE_BOOKS, this step will skip Google Books and use the other sources you've selected.`,
+			optional: true,
+			secret: true,
+		},
+		providers: {
+			type: "string[]",
+			label: "Book Data Sources",
+			description: `The sources to search for book data, in priority order. The first source that has the book wins. Remove a source to turn it off entirely.
+            
+            Google Books is skipped if no API key is set, and Open Library (Local Dump) if no dump database is set.`,
+			options: getProviderOptions(),
+			default: DEFAULT_PROVIDER_ORDER,
+			optional: true,
+		},
+		merge_fields: {
+			type: "boolean",
+			label: "Merge Fields Across Sources",
+			description:
+				"If enabled, every source that has the book is searched, and each field is filled from the best source that has a value for it. If disabled, the search stops at the first source that has the book.",
+			default: true,
+			optional: true,
+		},
+		...CACHE_PROPS,
+		...ENDPOINT_PROPS,
+		...DUMP_PROPS,
+		csv: {
+			type: "string",
+			label: "CSV Export",
+			description: `Your Goodreads or StoryGraph export. Enter the CSV text itself, a URL to download it from, or the path to a file you've saved in /tmp (e.g. \`/tmp/goodreads_library_export.csv\`).
+            
+            Goodreads: My Books → Import and export → Export Library. StoryGraph: Manage Account → Export StoryGraph Library.`,
+		},
+		dry_run: {
+			type: "boolean",
+			label: "Dry Run",
+			description:
+				"If enabled, every row is looked up and checked for duplicates, but nothing is written to Notion. The summary shows what would happen, and each result includes a `preview` with the exact request that would have been sent. Turn this off to import for real.",
+			default: true,
+		},
+		start_row: {
+			type: "integer",
+			label: "Start at Row",
+			description:
+				"The row to start from, counting the header as row 1. Use this to pick up a large import where an earlier run stopped.",
+			min: 2,
+			optional: true,
+		},
+		max_rows: {
+			type: "integer",
+			label: "Maximum Rows",
+			description:
+				"The most rows to process in this run. Large libraries can take longer than your workflow's timeout, so import them in chunks.",
+			min: 1,
+			optional: true,
+		},
+		notion: {
+			type: "app",
+			app: "notion",
+		},
+		databaseID: {
+			type: "string",
+			label: "Books Database",
+			description: "Set you Books database.",
+			async options({ query, prevContext }) {
+				const notion = new Client({
+					auth: this.notion.$auth.oauth_access_token,
+				});
+
+				let start_cursor = prevContext?.cursor;
+
+				const response = await notion.search({
+					...(query ? { query } : {}),
+					...(start_cursor ? { start_cursor } : {}),
+					page_size: 50,
+					filter: {
+						value: "database",
+						property: "object",
+					},
+					sorts: [
+						{
+							direction: "descending",
+							property: "last_edited_time",
+						},
+					],
+				});
+
+				const options = response.results.map((db) => ({
+					label: db.title?.[0]?.plain_text,
+					value: db.id,
+				}));
+
+				return {
+					context: {
+						cursor: response.next_cursor,
+					},
+					options,
+				};
+			},
+			reloadProps: true,
+		},
+		on_duplicate: {
+			type: "string",
+			label: "If a Book Already Exists",
+			description:
+				"What to do when the database already has a page for a book. Pages are matched by the ISBN-13 property if you've mapped one, falling back to the title (and author, if mapped).",
+			options: DUPLICATE_MODES,
+			default: "skip",
+			optional: true,
+		},
+		page_body: {
+			type: "string[]",
+			label: "Page Body",
+			description:
+				"Sections to add to the body of new pages, in order. Leave empty to create pages with properties only. The body is only added when a new page is created, never to an existing one.",
+			options: BODY_SECTIONS,
+			optional: true,
+		},
+		upload_cover: {
+			type: "boolean",
+			label: "Upload Cover Images to Notion",
+			description:
+				"If enabled, cover images are uploaded to Notion instead of being linked from their source. Uploaded covers keep working even if the original URL changes or disappears.",
+			default: false,
+			optional: true,
+		},
+		authors_database: {
+			type: "string",
+			label: "Authors Database",
+			description:
+				"Optionally, set your Authors database to link each book to its authors. Each author is matched to an existing page by name (so \"J.R.R. Tolkien\" and \"J. R. R. Tolkien\" are the same person), and a page is created for any author who doesn't have one yet. Your Books database needs a relation property pointing at this database.",
+			optional: true,
+			async options({ query, prevContext }) {
+				const notion = new Client({
+					auth: this.notion.$auth.oauth_access_token,
+				});
+
+				return await listDatabaseOptions(notion, { query, prevContext });
+			},
+			reloadProps: true,
+		},
+		series_database: {
+			type: "string",
+			label: "Series Database",
+			description:
+				"Optionally, set your Series database to link each book to its series. The series is matched to an existing page by name, and a page is created if there isn't one yet. Your Books database needs a relation property pointing at this database.",
+			optional: true,
+			async options({ query, prevContext }) {
+				const notion = new Client({
+					auth: this.notion.$auth.oauth_access_token,
+				});
+
+				return await listDatabaseOptions(notion, { query, prevContext });
+			},
+			reloadProps: true,
+		},
+		reading_stages: {
+			type: "string[]",
+			label: "Reading Stages",
+			description:
+				"The options of your Reading Status property, in order. Books on the to-read shelf go in the first stage, currently-reading in the second, and read in the last. Books on other shelves (e.g. did-not-finish) get no status. Map the Reading Status property (and optionally the Finished Date and Re-read Count properties) below.",
+			default: DEFAULT_READING_STAGES,
+			optional: true,
+		},
+	},
+	async additionalProps() {
+		if (!this.databaseID) {
+			return {};
+		}
+
+		const notion = new Client({
+			auth: this.notion.$auth.oauth_access_token,
+		});
+
+		const database = await notion.databases.retrieve({
+			database_id: this.databaseID,
+		});
+
+		const properties = database.properties;
+
+		const allowedProperties = Object.keys(properties).filter((key) =>
+			ALLOWED_PROPERTY_TYPES.includes(properties[key].type)
+		);
+
+		// Shelves, ratings and reviews are mapped through the Tags, Rating and Notes fields, like the ones sent with a scan
+		// If there's an Authors or Series database, the user also picks the relation property that points at it
+		return {
+			...buildFieldProps(allowedProperties),
+			...buildReadingProps(properties),
+			...buildRelationProps(properties, this),
+		};
+	},
+	methods: {
+		/**
+		 * Reads the export from the CSV prop, which holds the CSV text, a URL or a path in /tmp.
+		 */
+		async loadCSV() {
+			const source = (this.csv ?? "").trim();
+
+			if (/^https?:\/\//i.test(source)) {
+				console.log(`Downloading the export from: ${source}`);
+				return await fetchData(source, { responseType: "text" });
+			}
+
+			if (source.startsWith("/tmp/")) {
+				console.log(`Reading the export from: ${source}`);
+				return await fs.readFile(source, "utf8");
+			}
+
+			return source;
+		},
+		/**
+		 * Finds the book for a row: by ISBN if it has a valid one, then by title and author. Returns the book record (with its cover resolved), or null if no source has a close match.
+		 */
+		async fetchBook(entry, lookup, cache) {
+			const book = await lookup.fetchBook(entry.isbn ? normalizeISBN(entry.isbn) : {}, {
+				query: { title: entry.title, author: entry.author },
+				cache,
+			});
+
+			return book?.db ? book : null;
+		},
+		/**
+		 * Imports a single row with the shared save flow (see save-book.mjs), so duplicates, relations, cover uploads and page bodies work the same way as for a scan. Its shelves, rating and review are saved with the book's fields, and its reading stage and dates alongside them. Never throws, so one bad row can't abort the rest of the import.
+		 *
+		 * In a dry run, nothing is written: the result includes a preview of the request instead (see preview.mjs).
+		 *
+		 * `seen` holds the ISBNs and page IDs of the books earlier rows matched, so a book listed twice is only imported once (dry runs can't find those pages in Notion).
+		 */
+		async processRow(entry, { lookup, schema, cache, calls, stages, seen }) {
+			const result = {
+				row: entry.row,
+				title: entry.title,
+				author: entry.author,
+				isbn: entry.isbn,
+			};
+
+			try {
+				const book = await this.fetchBook(entry, lookup, cache);
+
+				if (!book) {
+					return {
+						...result,
+						status: "unmatched",
+						message: entry.isbn
+							? "No source has this ISBN, and no close title and author match was found."
+							: "The row has no ISBN, and no close title and author match was found.",
+					};
+				}
+
+				Object.assign(result, {
+					title: book.title,
+					author: book.author ?? entry.author,
+					isbn: book.isbn_13 ?? entry.isbn,
+					confidence: book.status?.confidence,
+					reason: book.status?.reason,
+				});
+
+				const seenKey = book.isbn_13 || `${book.db}:${book.db_id}`;
+
+				if (seen.has(seenKey)) {
+					return {
+						...result,
+						status: "duplicate",
+						message: `Same book as row ${seen.get(seenKey)}.`,
+					};
+				}
+
+				seen.set(seenKey, entry.row);
+
+				const saved = await saveBook(
+					{ ...book, ...getImportedFields(entry) },
+					{
+						schema,
+						databaseID: this.databaseID,
+						mapping: getFieldMapping(this),
+						mode: this.on_duplicate ?? "skip",
+						dryRun: Boolean(this.dry_run),
+						extraProperties: buildImportedReadingProperties(entry, {
+							schema,
+							mapping: this,
+							stages,
+						}),
+						pageBody: this.page_body,
+						endpoints: lookup.endpoints,
+						uploadCover: this.upload_cover,
+						coverProperty: this.cover_image,
+						links: getRelationLinks(this, book),
+						calls,
+					}
+				);
+
+				// A dry run reports what it would have done
+				const status =
+					saved.action === "dry_run"
+						? SAVE_STATUS[saved.preview.would]
+						: SAVE_STATUS[saved.action];
+
+				return {
+					...result,
+					status,
+					page_url: saved.url ?? saved.preview?.existing_page_url,
+					...(status === "duplicate" && {
+						message: `Already in the database (matched by ${saved.matched_by ?? saved.preview.matched_by}).`,
+					}),
+					...(saved.preview && { preview: saved.preview }),
+					warnings: saved.warnings,
+				};
+			} catch (error) {
+				console.error(`Failed to import row ${entry.row}: ${error.message}`);
+
+				return { ...result, status: "error", message: error.message };
+			}
+		},
+	},
+	async run({ $ }) {
+		// Set up the book lookups. If no Google Books API key is set, the Google Books provider is skipped.
+		const lookup = createBatchLookup(this);
+
+		// Check every endpoint the selected sources use before starting, if asked to
+		if (this.check_endpoints) {
+			await assertEndpointsHealthy(
+				resolveEndpoints(this),
+				resolveProviders(this.providers, lookup.config).map((provider) => provider.id)
+			);
+		}
+
+		const { format, columns, entries } = parseReadingHistory(await this.loadCSV());
+
+		const start = this.start_row ?? 2;
+		const selected = entries
+			.filter((entry) => entry.row >= start)
+			.slice(0, this.max_rows ?? entries.length);
+
+		console.log(
+			`Importing ${selected.length} of ${entries.length} rows from a ${IMPORT_FORMATS[format].label} export${this.dry_run ? " (dry run)" : ""}.`
+		);
+
+		// Retrieve the database schema once, so each mapped property's type is known
+		const notion = new Client({
+			auth: this.notion.$auth.oauth_access_token,
+		});
+
+		const database = await sendNotionRequest("Retrieving the database schema", () =>
+			notion.databases.retrieve({
+				database_id: this.databaseID,
+			})
+		);
+
+		const context = {
+			lookup,
+			schema: database.properties,
+			// The resolvers for the Authors and Series databases are shared by every row, so each author or series is only looked up once
+			calls: createSaveCalls(notion, {
+				databaseID: this.databaseID,
+				schema: database.properties,
+				mapping: getFieldMapping(this),
+				endpoints: lookup.endpoints,
+				resolvers: createRelationResolvers(notion, this),
+			}),
+			cache: createCacheFromProps(this),
+			stages: this.reading_stages?.length
+				? this.reading_stages
+				: DEFAULT_READING_STAGES,
+			seen: new Map(),
+		};
+
+		// Rows are imported one at a time, so a book listed twice is recognized before its page is created
+		const results = [];
+		for (const entry of selected) {
+			results.push(await this.processRow(entry, context));
+		}
+
+		// Save the lookups to the cache in one write, now every row is done
+		await context.cache.flush();
+
+		const summary = Object.fromEntries(
+			["created", "updated", "duplicate", "unmatched", "error"].map((status) => [
+				status,
+				results.filter((result) => result.status === status).length,
+			])
+		);
+
+		const unmatchedRows = new Set(
+			results
+				.filter((result) => result.status === "unmatched")
+				.map((result) => result.row)
+		);
+		const unmatched = selected.filter((entry) => unmatchedRows.has(entry.row));
+
+		const last = selected[selected.length - 1];
+
+		$.export(
+			"$summary",
+			`${this.dry_run ? "Dry run: would create" : "Created"} ${summary.created}, ${this.dry_run ? "would update" : "updated"} ${summary.updated}, skipped ${summary.duplicate} duplicates. ${summary.unmatched} unmatched, ${summary.error} failed.`
+		);
+
+		return {
+			format,
+			dry_run: Boolean(this.dry_run),
+			summary,
+			// Where to pick up if the export has rows this run didn't reach
+			next_row:
+				last && last.row < entries[entries.length - 1].row ? last.row + 1 : null,
+			results,
+			unmatched_csv: unmatched.length > 0 ? entriesToCSV(columns, unmatched) : "",
+		};
+	},
+};